@@ -0,0 +1,112 @@
+// --- Asset Preloader ---
+// Everything the game downloads is listed in a manifest:
+//
+//     { url: 'asset/Cactus.png', type: 'texture', size: 457827, critical: true }
+//
+// `type` picks the decoder that turns the downloaded Blob into something usable, `size` is the
+// expected byte count so progress is weighted sensibly before the server reports a length.
+// Critical assets hold the loading screen, the rest keep downloading in the background.
+// A failed asset is logged and resolves as null; callers fall back to something procedural.
+
+export const ASSET_MANIFEST = [
+    { url: 'asset/Cactus.png', type: 'texture', size: 457827, critical: true },
+    { url: 'asset/wood.png', type: 'texture', size: 54040, critical: true },
+    { url: 'asset/ufo.png', type: 'texture', size: 69179, critical: true },
+    { url: 'asset/cartoon-jump-6462.mp3', type: 'audio', size: 35520, critical: true },
+    { url: 'asset/collect.mp3', type: 'audio', size: 35108, critical: true },
+    { url: 'asset/backgroundmusic.mp3', type: 'audio', size: 721197, critical: false }
+];
+
+const DEFAULT_SIZE = 100000; // Bytes assumed for entries without a size
+const LOAD_TIMEOUT = 30000; // Milliseconds before a download counts as failed
+
+// `decoders` maps asset types to functions taking a Blob and returning the asset or a Promise
+export function createPreloader(manifest, decoders) {
+    const entries = new Map(); // url -> {asset, size, received, promise}
+
+    manifest.forEach(item => {
+        if (!decoders[item.type]) throw new Error('Asset "' + item.url + '": unknown type "' + item.type + '"');
+        entries.set(item.url, { ...item, size: item.size || DEFAULT_SIZE, received: 0, asset: null, promise: null });
+    });
+
+    const preloader = {
+        // Starts every download. Resolves once the critical ones have loaded or failed,
+        // calling onProgress(fraction) for the critical bytes along the way.
+        load(onProgress = () => {}) {
+            const critical = [...entries.values()].filter(entry => entry.critical);
+            const report = () => {
+                const total = critical.reduce((sum, entry) => sum + entry.size, 0);
+                const received = critical.reduce((sum, entry) => sum + Math.min(entry.received, entry.size), 0);
+                onProgress(total ? received / total : 1);
+            };
+            entries.forEach(entry => {
+                entry.promise = loadEntry(entry, entry.critical ? report : () => {});
+            });
+            report();
+            return Promise.all(critical.map(entry => entry.promise)).then(() => {});
+        },
+
+        // Decoded asset, or null while loading or if it failed
+        get(url) {
+            const entry = entries.get(url);
+            return entry ? entry.asset : null;
+        },
+
+        // Resolves with the asset (or null if it failed) once its download is over
+        ready(url) {
+            const entry = entries.get(url);
+            return entry && entry.promise ? entry.promise : Promise.resolve(null);
+        },
+
+        // Urls of assets that could not be loaded
+        getFailed() {
+            return [...entries.values()].filter(entry => entry.failed).map(entry => entry.url);
+        }
+    };
+
+    function loadEntry(entry, report) {
+        return download(entry, report)
+            .then(blob => decoders[entry.type](blob))
+            .then(asset => {
+                entry.asset = asset;
+                return asset;
+            })
+            .catch(e => {
+                console.log('Could not load asset ' + entry.url + ':', e);
+                entry.failed = true;
+                return null;
+            })
+            .then(asset => {
+                entry.received = entry.size; // Done either way
+                report();
+                return asset;
+            });
+    }
+
+    return preloader;
+}
+
+// Fetches `entry.url` as a Blob, counting bytes into entry.received as they arrive
+function download(entry, report) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LOAD_TIMEOUT);
+    return fetch(entry.url, { signal: controller.signal })
+        .then(response => {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            const length = Number(response.headers.get('Content-Length'));
+            if (length) entry.size = length;
+            if (!response.body) return response.blob();
+
+            const reader = response.body.getReader();
+            const chunks = [];
+            const pump = () => reader.read().then(({ done, value }) => {
+                if (done) return new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+                chunks.push(value);
+                entry.received += value.length;
+                report();
+                return pump();
+            });
+            return pump();
+        })
+        .finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,160 @@
+// --- Sound Engine ---
+// Web Audio playback. Sounds are decoded once into buffers and every play gets its own source
+// node, so quick repeats overlap instead of cutting each other off:
+//
+//     master (mute) -> speakers
+//       music bus (volume slider, ducked while results are up) <- looping track
+//       sfx bus (volume slider) <- one-shots
+//
+// Browsers keep audio suspended until a user gesture, so the engine resumes it on the first
+// tap, click or key press anywhere. Without Web Audio every call is a no-op.
+
+const MAX_VOICES = 6; // Copies of one sound playing at once, the oldest stops beyond this
+const DUCK_LEVEL = 0.3; // Music volume while ducked, relative to its slider
+const RAMP_TIME = 0.1; // Seconds for bus volume changes to settle, avoids clicks
+const UNLOCK_EVENTS = ['pointerdown', 'touchend', 'keydown'];
+
+export function createSoundEngine() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const context = AudioContext ? new AudioContext() : null;
+    const sounds = new Map(); // Name -> {buffer, volume, voices: sources oldest first}
+    const volumes = { music: 1, sfx: 1 };
+    const music = { buffer: null, volume: 1, source: null, wanted: false, startedAt: 0, offset: 0 };
+    let muted = false;
+    let ducked = false;
+    let master, musicBus, sfxBus;
+
+    if (context) {
+        master = context.createGain();
+        master.connect(context.destination);
+        musicBus = context.createGain();
+        musicBus.connect(master);
+        sfxBus = context.createGain();
+        sfxBus.connect(master);
+
+        const unlock = () => {
+            context.resume()
+                .then(() => UNLOCK_EVENTS.forEach(type => window.removeEventListener(type, unlock, true)))
+                .catch(e => console.log('Audio unlock failed:', e));
+        };
+        UNLOCK_EVENTS.forEach(type => window.addEventListener(type, unlock, true));
+    }
+
+    const engine = {
+        enabled: !!context,
+
+        // Decodes an ArrayBuffer of a sound file into an AudioBuffer
+        decode(data) {
+            if (!context) return Promise.reject(new Error('Web Audio unavailable'));
+            // Callback form, Safari's decodeAudioData didn't return a promise until recently
+            return new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject));
+        },
+
+        add(name, buffer, volume = 1) {
+            sounds.set(name, { buffer, volume, voices: [] });
+        },
+
+        // Plays a one-shot. `rate` changes speed and pitch together (2 = an octave up).
+        play(name, { rate = 1, volume = 1 } = {}) {
+            const sound = sounds.get(name);
+            if (!context || !sound) return;
+            if (sound.voices.length >= MAX_VOICES) sound.voices.shift().stop();
+
+            const source = startSource(sound.buffer, sound.volume * volume, sfxBus);
+            source.playbackRate.value = rate;
+            source.onended = () => {
+                const index = sound.voices.indexOf(source);
+                if (index !== -1) sound.voices.splice(index, 1);
+            };
+            sound.voices.push(source);
+            source.start();
+        },
+
+        // The looping track. Starts right away if playMusic() was called before it arrived, and a
+        // different track replaces the playing one from its beginning.
+        setMusic(buffer, volume = 1) {
+            if (buffer === music.buffer) return;
+            if (music.source) stopMusicSource();
+            music.buffer = buffer;
+            music.volume = volume;
+            music.offset = 0;
+            if (music.wanted) startMusic();
+        },
+
+        // Starts or resumes the track where it was paused
+        playMusic() {
+            music.wanted = true;
+            if (!music.source) startMusic();
+        },
+
+        pauseMusic() {
+            music.wanted = false;
+            if (!music.source) return;
+            const elapsed = context.currentTime - music.startedAt;
+            music.offset = elapsed % music.buffer.duration;
+            stopMusicSource();
+        },
+
+        // Next playMusic() starts from the beginning
+        stopMusic() {
+            engine.pauseMusic();
+            music.offset = 0;
+        },
+
+        // Sinks the music under the effects, e.g. while the results are up
+        duck(value) {
+            ducked = value;
+            updateGains();
+        },
+
+        // `bus` is 'music' or 'sfx', `value` from 0 to 1
+        setVolume(bus, value) {
+            if (!(bus in volumes)) throw new Error('Unknown audio bus "' + bus + '"');
+            volumes[bus] = Math.min(1, Math.max(0, value));
+            updateGains();
+        },
+
+        getVolume(bus) {
+            return volumes[bus];
+        },
+
+        setMuted(value) {
+            muted = value;
+            updateGains();
+        }
+    };
+
+    function startSource(buffer, volume, bus) {
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        const gain = context.createGain();
+        gain.gain.value = volume;
+        source.connect(gain);
+        gain.connect(bus);
+        return source;
+    }
+
+    function startMusic() {
+        if (!context || !music.buffer) return;
+        music.source = startSource(music.buffer, music.volume, musicBus);
+        music.source.loop = true;
+        music.source.start(0, music.offset);
+        music.startedAt = context.currentTime - music.offset;
+    }
+
+    function stopMusicSource() {
+        music.source.stop();
+        music.source.disconnect();
+        music.source = null;
+    }
+
+    function updateGains() {
+        if (!context) return;
+        const now = context.currentTime;
+        master.gain.setTargetAtTime(muted ? 0 : 1, now, RAMP_TIME / 3);
+        musicBus.gain.setTargetAtTime(volumes.music * (ducked ? DUCK_LEVEL : 1), now, RAMP_TIME / 3);
+        sfxBus.gain.setTargetAtTime(volumes.sfx, now, RAMP_TIME / 3);
+    }
+
+    return engine;
+}
@@ -0,0 +1,199 @@
+// --- Biome Registry ---
+// A run passes through biomes by distance, in registration order, starting from the
+// configured one and wrapping around after the last. Each is plain data:
+//
+//     {
+//         id: 'night',
+//         label: 'NIGHT',                 // Announced on the HUD when the player arrives
+//         length: 250,                    // Blocks until the next biome starts
+//         sky: 0x1A1A40,
+//         groundTop: 0xB0C4DE, groundSide: 0x5F7A99, groundFront: 0x7B93B0,
+//         light: 0xAABBFF,                // Sun color and strength, plus the ambient fill
+//         lightIntensity: 0.5,
+//         ambientIntensity: 0.8,
+//         decoration: 'crystal',          // Side-lane decoration mesh: tree, pine, cactus or crystal
+//         decorationColors: [0x9C6BFF, 0x4B3A8C],   // Main and secondary color of that mesh
+//         decorationChance: 0.4,          // Chance per row
+//         obstacles: { ufo: 3 },          // Spawn weight multipliers by obstacle type, others stay 1
+//         music: 'asset/backgroundmusic.mp3'
+//     }
+//
+// Layout and obstacle mix are game rules, so a run's starting biome is part of the
+// simulation config and replays reproduce it.
+
+export const DECORATIONS = ['tree', 'pine', 'cactus', 'crystal'];
+const MUSIC = 'asset/backgroundmusic.mp3';
+
+const DEFAULT_BIOMES = [
+    {
+        // The original desert-ish sunset
+        id: 'classic',
+        label: 'SUNSET',
+        length: 250,
+        sky: 0x6A5ACD, // SlateBlue/Purple-ish
+        groundTop: 0xFFE4B5, // Vibrant Yellow-Orange (NavajoWhite)
+        groundSide: 0xFF9C59, // Vibrant Orange
+        groundFront: 0xFF6600, // Brighter Orange for Front Face
+        light: 0xFFFFFF,
+        lightIntensity: 0.8,
+        ambientIntensity: 1.1,
+        decoration: 'tree',
+        decorationColors: [0x00C957, 0x8B4513], // Vibrant Green, SaddleBrown
+        decorationChance: 0.6,
+        obstacles: {},
+        music: MUSIC
+    },
+    {
+        id: 'forest',
+        label: 'FOREST',
+        length: 250,
+        sky: 0x8FD3A8,
+        groundTop: 0xB5E08C,
+        groundSide: 0x6FA84A,
+        groundFront: 0x4F8A35,
+        light: 0xFFF4D6,
+        lightIntensity: 0.7,
+        ambientIntensity: 1.0,
+        decoration: 'pine',
+        decorationColors: [0x1E7B34, 0x6B3E1E],
+        decorationChance: 0.9,
+        obstacles: { wood: 3, cactus: 0 },
+        music: MUSIC
+    },
+    {
+        id: 'snow',
+        label: 'SNOW',
+        length: 250,
+        sky: 0xBFDDF2,
+        groundTop: 0xF5FBFF,
+        groundSide: 0xA9C6DB,
+        groundFront: 0x8DB0CC,
+        light: 0xE6F2FF,
+        lightIntensity: 0.9,
+        ambientIntensity: 1.0,
+        decoration: 'pine',
+        decorationColors: [0xE8F4FA, 0x6B4A2E], // Snowed-over
+        decorationChance: 0.5,
+        obstacles: { cactus: 0, spike: 1.5 },
+        music: MUSIC
+    },
+    {
+        id: 'desert',
+        label: 'DESERT',
+        length: 250,
+        sky: 0xF4A460,
+        groundTop: 0xFFF1C1,
+        groundSide: 0xD2A05A,
+        groundFront: 0xC28840,
+        light: 0xFFE0B0,
+        lightIntensity: 0.9,
+        ambientIntensity: 1.1,
+        decoration: 'cactus',
+        decorationColors: [0x2E8B57, 0x1F5F3B],
+        decorationChance: 0.4,
+        obstacles: { cactus: 3, wood: 0.5 },
+        music: MUSIC
+    },
+    {
+        // Night sky out towards space, more UFOs
+        id: 'night',
+        label: 'NIGHT',
+        length: 250,
+        sky: 0x1A1A40,
+        groundTop: 0xB0C4DE,
+        groundSide: 0x5F7A99,
+        groundFront: 0x7B93B0,
+        light: 0xAABBFF,
+        lightIntensity: 0.5,
+        ambientIntensity: 0.8,
+        decoration: 'crystal',
+        decorationColors: [0x9C6BFF, 0x4B3A8C],
+        decorationChance: 0.4,
+        obstacles: { ufo: 3 },
+        music: MUSIC
+    }
+];
+
+export const DEFAULT_BIOME = 'classic';
+const COLOR_KEYS = ['sky', 'groundTop', 'groundSide', 'groundFront', 'light'];
+
+const biomes = new Map();
+
+// Validates a definition and adds it, replacing any biome with the same id (keeping its place)
+export function registerBiome(definition) {
+    const id = definition && definition.id;
+    const fail = (message) => {
+        throw new Error('Biome "' + id + '": ' + message);
+    };
+
+    if (typeof id !== 'string' || id === '') fail('needs a string id');
+    if (!(definition.length > 0)) fail('length must be a positive number of blocks');
+    COLOR_KEYS.forEach(key => {
+        if (!isColor(definition[key])) fail(key + ' must be a color number');
+    });
+    if (!DECORATIONS.includes(definition.decoration)) fail('decoration must be one of ' + DECORATIONS.join(', '));
+    if (!Array.isArray(definition.decorationColors) || definition.decorationColors.length !== 2 ||
+        !definition.decorationColors.every(isColor)) fail('decorationColors must be two color numbers');
+    if (!(definition.decorationChance >= 0 && definition.decorationChance <= 1)) fail('decorationChance must be between 0 and 1');
+    const obstacles = definition.obstacles || {};
+    Object.keys(obstacles).forEach(kind => {
+        if (!(obstacles[kind] >= 0)) fail('obstacle multiplier for "' + kind + '" must be zero or more');
+    });
+    if (typeof definition.music !== 'string') fail('music must be an asset url');
+
+    const biome = {
+        id,
+        label: definition.label || id.toUpperCase(),
+        length: definition.length,
+        sky: definition.sky,
+        groundTop: definition.groundTop,
+        groundSide: definition.groundSide,
+        groundFront: definition.groundFront,
+        light: definition.light,
+        lightIntensity: definition.lightIntensity !== undefined ? definition.lightIntensity : 0.8,
+        ambientIntensity: definition.ambientIntensity !== undefined ? definition.ambientIntensity : 1.1,
+        decoration: definition.decoration,
+        decorationColors: definition.decorationColors,
+        decorationChance: definition.decorationChance,
+        obstacles,
+        music: definition.music
+    };
+    biomes.set(id, biome);
+    return biome;
+}
+
+export function getBiome(id) {
+    const biome = biomes.get(id);
+    if (!biome) throw new Error('Unknown biome "' + id + '"');
+    return biome;
+}
+
+export function getBiomes() {
+    return Array.from(biomes.values());
+}
+
+// Biome at distance `z` of a run that started in `startId`
+export function getBiomeAt(startId, z) {
+    const list = getBiomes();
+    let index = list.indexOf(getBiome(startId));
+    let end = list[index].length;
+    while (z >= end) {
+        index = (index + 1) % list.length;
+        end += list[index].length;
+    }
+    return list[index];
+}
+
+// Obstacle types with the biome's weight multipliers applied, for pickObstacleType
+export function weightObstacleTypes(biome, types) {
+    return types.map(type => {
+        const multiplier = biome.obstacles[type.id];
+        return multiplier === undefined ? type : { ...type, weight: type.weight * multiplier };
+    });
+}
+
+function isColor(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF;
+}
+
+DEFAULT_BIOMES.forEach(registerBiome);
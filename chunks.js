@@ -0,0 +1,343 @@
+// --- Level Chunks ---
+// Short authored patterns the generator stitches together. A chunk is JSON-compatible data:
+//
+//     {
+//         "id": "side-step",
+//         "tier": 1,                  // Difficulty tier, 1 (intro) to 3, unlocked by speed
+//         "minSpeed": 5,              // Optional speed range the chunk may be used in
+//         "maxSpeed": 15,
+//         "weight": 1,                // Optional relative pick chance within a tier
+//         "legend": { "X": "cactus" },  // Optional extra letters for obstacle type ids
+//         "rows": ["...", "g..", "...", "..g"]
+//     }
+//
+// Rows run from nearest to farthest, one row per block. Each row has one character per lane,
+// left to right as seen on screen (lanes +1, 0, -1):
+//     .  empty ground          o / O  low / high coin
+//     _  pit                   ~  crumbling tile (gives way once stepped on)
+//     S C W B U  spike, cactus, wood, barrier, ufo
+//     g m a  any ground / mid / air obstacle, picked by registry weight
+//
+// Every chunk is checked on registration to be clearable from any lane at its speeds,
+// treating crumbling tiles as pits. Jump and pit timing doesn't get easier or harder steadily
+// with speed, so the check runs every VALIDATION_SPEED_STEP across the range, not only at its ends.
+// The built-in chunks below were checked that way when they were written, so loading the page
+// only rechecks their ends.
+
+import { HEIGHT_CLASSES, getObstacleType, getObstacleTypes } from './obstacles.js';
+import {
+    FIXED_DT, JUMP_AIRTIME, LANES, LANE_WIDTH, PLAYER_BOX, SLIDE_DURATION,
+    boxesOverlap, changeLane, createPlayerState, getObstacleBox, getPlayerBox, isInPit, jump, releaseJump, slide, stepPlayer
+} from './physics.js';
+
+export const CHUNK_MIN_SPEED = 5;
+export const CHUNK_MAX_SPEED = 15;
+const VALIDATION_SPEED_STEP = 1;
+
+const DEFAULT_LEGEND = {
+    S: 'spike',
+    C: 'cactus',
+    W: 'wood',
+    B: 'barrier',
+    U: 'ufo',
+    g: 'ground',
+    m: 'mid',
+    a: 'air'
+};
+
+// Highest tier allowed at a speed
+const TIER_SPEEDS = [
+    { tier: 1, speed: 0 },
+    { tier: 2, speed: 7 },
+    { tier: 3, speed: 10 }
+];
+
+const DEFAULT_CHUNKS = [
+    // Tier 1 - one thing at a time
+    { id: 'coin-trail', tier: 1, rows: ['.o.', '.o.', '.o.', '.g.', '.O.', '...', '...', '...', 'o..', 'o..', 'o..'] },
+    { id: 'side-step', tier: 1, rows: ['...', 'g..', '...', '...', '...', '..g', '...', '...', '...', '.g.'] },
+    { id: 'duck-intro', tier: 1, rows: ['...', '.o.', '.B.', '.o.', '...', '...', '...', '...', 'B.B'] },
+    { id: 'ufo-intro', tier: 1, rows: ['...', '.U.', '.o.', '...', '...', '...', 'U.U', 'o.o'] },
+    { id: 'first-pit', tier: 1, rows: ['...', '___', '.O.', '...', '...'] },
+    // Tier 2 - combinations and lane changes
+    { id: 'split', tier: 2, minSpeed: 7, rows: ['g.g', '...', '...', '...', '...', '.m.', '...', '...', '...', '...', 'g.g'] },
+    { id: 'zigzag', tier: 2, minSpeed: 7, rows: ['gg.', '...', '...', '...', '...', '...', '.gg', '...', '...', '...', '...', '...', 'gg.'] },
+    { id: 'low-and-high', tier: 2, minSpeed: 7, rows: ['.a.', '...', '...', '...', '.g.', '...', '...', '...', '...', '.m.'] },
+    { id: 'coin-weave', tier: 2, minSpeed: 7, rows: ['o..', '.o.', '..o', '.o.', 'o..', '...', 'g.g'] },
+    { id: 'broken-bridge', tier: 2, minSpeed: 7, rows: ['~~~', '___', '~~~', '...'] },
+    { id: 'side-pits', tier: 2, minSpeed: 7, rows: ['__.', '__.', '...', '...', '...', '...', '...', '.__', '.__'] },
+    // Tier 3 - walls and quick decisions
+    { id: 'spike-wall', tier: 3, minSpeed: 10, rows: ['...', 'SSS', 'OOO', '...', '...', '...', '...', '...', '...', '...', '.a.'] },
+    { id: 'gauntlet', tier: 3, minSpeed: 10, rows: ['g.m', '...', '...', '...', '...', '...', '...', 'm.g', '...', '...', '...', '...', '...', '...', '.a.'] },
+    { id: 'double-hop', tier: 3, minSpeed: 10, rows: ['.S.', '...', '...', '...', '...', '...', '...', '...', '...', '...', '...', '.S.', '.O.'] },
+    { id: 'pit-then-ufo', tier: 3, minSpeed: 10, rows: ['___', '___', '___', '...', '...', '...', '...', '...', '...', '...', '...', '...', 'U.U'] }
+];
+
+const chunks = new Map();
+
+export function registerChunk(definition) {
+    const chunk = normalizeChunk(definition);
+    return addChunk(chunk, getValidationSpeeds(chunk));
+}
+
+function addChunk(chunk, speeds) {
+    speeds.forEach(speed => {
+        const result = validateChunk(chunk, speed);
+        if (!result.ok) {
+            throw new Error('Chunk "' + chunk.id + '": ' + result.reason);
+        }
+    });
+    chunks.set(chunk.id, chunk);
+    return chunk;
+}
+
+// minSpeed, every step above it and maxSpeed
+function getValidationSpeeds(chunk) {
+    const speeds = [];
+    for (let speed = chunk.minSpeed; speed < chunk.maxSpeed; speed += VALIDATION_SPEED_STEP) {
+        speeds.push(speed);
+    }
+    speeds.push(chunk.maxSpeed);
+    return speeds;
+}
+
+export function registerChunks(definitions) {
+    const list = typeof definitions === 'string' ? JSON.parse(definitions) : definitions;
+    return list.map(registerChunk);
+}
+
+export function getChunks() {
+    return Array.from(chunks.values());
+}
+
+export function getMaxTier(speed) {
+    let maxTier = 1;
+    TIER_SPEEDS.forEach(entry => {
+        if (speed >= entry.speed) maxTier = entry.tier;
+    });
+    return maxTier;
+}
+
+// Weighted pick among chunks usable at `speed`, favouring the newest unlocked tier.
+// `scale` can multiply each chunk's weight, 0 rules it out.
+export function pickChunk(rng, speed, scale = () => 1) {
+    const maxTier = getMaxTier(speed);
+    const weightOf = (chunk) => chunk.weight * (chunk.tier === maxTier ? 2 : 1) * scale(chunk);
+    const usable = getChunks().filter(chunk =>
+        chunk.tier <= maxTier && speed >= chunk.minSpeed && speed <= chunk.maxSpeed && weightOf(chunk) > 0);
+    const total = usable.reduce((sum, chunk) => sum + weightOf(chunk), 0);
+    if (total === 0) return null;
+
+    let roll = rng.next() * total;
+    for (const chunk of usable) {
+        roll -= weightOf(chunk);
+        if (roll < 0) return chunk;
+    }
+    return usable[usable.length - 1];
+}
+
+// Empty rows between chunks, so a jump started at the end of one lands before the next
+export function getChunkGap(speed) {
+    return Math.ceil(JUMP_AIRTIME * speed) + 1;
+}
+
+// Widest pit that still leaves room to time the jump at `speed`
+export function getMaxPitWidth(speed) {
+    return Math.max(1, Math.floor(JUMP_AIRTIME * speed / 2));
+}
+
+// What a cell holds: null, {coin: 'low'|'high'}, {ground: 'pit'|'crumble'}, {obstacle: typeId}
+// or {height: class}
+export function parseCell(chunk, char) {
+    if (char === '.') return null;
+    if (char === 'o') return { coin: 'low' };
+    if (char === 'O') return { coin: 'high' };
+    if (char === '_') return { ground: 'pit' };
+    if (char === '~') return { ground: 'crumble' };
+    const entry = chunk.legend[char];
+    if (HEIGHT_CLASSES.includes(entry)) return { height: entry };
+    return { obstacle: entry };
+}
+
+// Lane for a row character index (rows read left to right on screen)
+export function laneForColumn(column) {
+    return LANES[LANES.length - 1 - column];
+}
+
+function normalizeChunk(definition) {
+    const id = definition && definition.id;
+    const fail = (message) => {
+        throw new Error('Chunk "' + id + '": ' + message);
+    };
+
+    if (typeof id !== 'string' || id === '') fail('needs a string id');
+    if (![1, 2, 3].includes(definition.tier)) fail('tier must be 1, 2 or 3');
+    if (!Array.isArray(definition.rows) || definition.rows.length === 0) fail('needs rows');
+
+    const chunk = {
+        id,
+        tier: definition.tier,
+        minSpeed: definition.minSpeed !== undefined ? definition.minSpeed : CHUNK_MIN_SPEED,
+        maxSpeed: definition.maxSpeed !== undefined ? definition.maxSpeed : CHUNK_MAX_SPEED,
+        weight: definition.weight !== undefined ? definition.weight : 1,
+        legend: { ...DEFAULT_LEGEND, ...(definition.legend || {}) },
+        rows: definition.rows,
+        obstacles: [], // Ids of the obstacle types spelled out by letter
+        density: 0 // Obstacle cells per row
+    };
+    if (!(chunk.minSpeed <= chunk.maxSpeed)) fail('minSpeed must not exceed maxSpeed');
+    if (!(chunk.weight >= 0)) fail('weight must be zero or more');
+
+    chunk.rows.forEach((row, index) => {
+        if (typeof row !== 'string' || row.length !== LANES.length) {
+            fail('row ' + index + ' must have ' + LANES.length + ' characters');
+        }
+        Array.from(row).forEach(char => {
+            if ('.oO_~'.includes(char)) return;
+            const entry = chunk.legend[char];
+            if (entry === undefined) fail('unknown character "' + char + '" in row ' + index);
+            chunk.density++;
+            if (HEIGHT_CLASSES.includes(entry)) return;
+            getObstacleType(entry); // Throws for unknown ids
+            if (!chunk.obstacles.includes(entry)) chunk.obstacles.push(entry);
+        });
+    });
+    chunk.density /= chunk.rows.length;
+    return chunk;
+}
+
+// --- Validation ---
+// Explores what a player can do (nothing, jump, short hop, slide, change lane) every few
+// steps at a fixed speed, and reports whether any sequence gets through the chunk.
+const DECISION_STEPS = 12; // Steps between decisions (0.1s, about human reaction granularity)
+const ACTIONS = [
+    () => true,
+    (p) => jump(p),
+    (p) => jump(p) && releaseJump(p), // Short hop
+    (p) => slide(p),
+    (p) => changeLane(p, 1),
+    (p) => changeLane(p, -1)
+];
+
+export function validateChunk(chunk, speed) {
+    const startZ = getChunkGap(speed); // Player starts grounded one gap before the chunk
+    const obstacles = [];
+    const holes = new Set(); // "z,lane"
+    const holeZs = [];
+    chunk.rows.forEach((row, index) => {
+        Array.from(row).forEach((char, column) => {
+            const cell = parseCell(chunk, char);
+            if (!cell || cell.coin) return;
+            const lane = laneForColumn(column);
+            if (cell.ground) {
+                holes.add((startZ + index) + ',' + lane);
+                holeZs.push(startZ + index);
+                return;
+            }
+            const box = cell.obstacle ? getObstacleType(cell.obstacle) : getHeightClassEnvelope(cell.height);
+            obstacles.push({ x: lane * LANE_WIDTH, y: box.y, z: startZ + index, size: box.size });
+        });
+    });
+    const boxes = obstacles.map(getObstacleBox);
+    const endZ = startZ + chunk.rows.length + 1;
+    const isGround = (x, z) => !holes.has(Math.round(z) + ',' + Math.round(x / LANE_WIDTH));
+
+    const cleared = clearedLanes({ boxes, holeZs, isGround }, speed, endZ);
+    const blocked = LANES.filter((lane, index) => !(cleared & (1 << index)));
+    if (blocked.length > 0) {
+        return { ok: false, reason: 'not clearable from lane ' + blocked.join(', ') + ' at speed ' + speed };
+    }
+    return { ok: true };
+}
+
+// Searches from every lane at once: each state carries a bitmask of the start lanes that can
+// reach it. Returns the mask of start lanes with a way through.
+function clearedLanes(track, speed, endZ) {
+    const { boxes, holeZs, isGround } = track;
+    const reach = speed * DECISION_STEPS * FIXED_DT + PLAYER_BOX.halfDepth;
+    const horizon = speed * (JUMP_AIRTIME + SLIDE_DURATION) + PLAYER_BOX.halfDepth;
+    let frontier = LANES.map((lane, index) => ({ p: createPlayerState(lane), mask: 1 << index }));
+    let cleared = 0;
+
+    while (frontier.length > 0) {
+        // Every state shares the same z at constant speed, so only boxes in this stretch matter
+        const z = frontier[0].p.z;
+
+        // Nothing ahead before any jump or slide is over: only the lane still matters
+        const clearAhead = !boxes.some(box => box.maxZ >= z - PLAYER_BOX.halfDepth && box.minZ <= z + horizon) &&
+            !holeZs.some(holeZ => holeZ + 0.5 >= z - PLAYER_BOX.halfDepth && holeZ - 0.5 <= z + horizon);
+        if (clearAhead) {
+            const lanes = new Map();
+            frontier.forEach(({ p, mask }) => lanes.set(p.lane, (lanes.get(p.lane) || 0) | mask));
+            frontier = Array.from(lanes, ([lane, mask]) => ({ p: { ...createPlayerState(lane), z }, mask }));
+        }
+
+        const nearby = boxes.filter(box => box.maxZ >= z - PLAYER_BOX.halfDepth && box.minZ <= z + reach);
+        const next = new Map();
+        for (const state of frontier) {
+            for (const action of ACTIONS) {
+                const p = { ...state.p };
+                if (!action(p)) continue; // Not possible right now, same as doing nothing
+                if (!survives(p, nearby, isGround, speed)) continue;
+                if (p.z > endZ) {
+                    cleared |= state.mask;
+                    continue;
+                }
+                const key = stateKey(p);
+                const existing = next.get(key);
+                if (existing) {
+                    existing.mask |= state.mask;
+                } else {
+                    next.set(key, { p, mask: state.mask });
+                }
+            }
+        }
+        frontier = Array.from(next.values());
+    }
+    return cleared;
+}
+
+function survives(p, boxes, isGround, speed) {
+    for (let i = 0; i < DECISION_STEPS; i++) {
+        stepPlayer(p, FIXED_DT, speed, isGround);
+        if (isInPit(p)) return false;
+        if (boxes.length > 0) {
+            const playerBox = getPlayerBox(p);
+            if (boxes.some(box => boxesOverlap(playerBox, box))) return false;
+        }
+    }
+    return true;
+}
+
+// States that round to the same key behave the same for the rest of the chunk
+function stateKey(p) {
+    return [
+        p.lane,
+        Math.round(p.x * 10),
+        Math.round(p.y * 10),
+        Math.round(p.verticalVelocity),
+        p.isJumping ? 1 : 0,
+        Math.ceil(p.slideTime * 10),
+        p.slideQueued ? 1 : 0
+    ].join(',');
+}
+
+// Wildcards are validated against the union of every hitbox in their height class
+function getHeightClassEnvelope(height) {
+    let minY = Infinity;
+    let maxY = -Infinity;
+    let width = 0;
+    let depth = 0;
+    getObstacleTypes().filter(type => type.height === height).forEach(type => {
+        minY = Math.min(minY, type.y - type.size.y / 2);
+        maxY = Math.max(maxY, type.y + type.size.y / 2);
+        width = Math.max(width, type.size.x);
+        depth = Math.max(depth, type.size.z);
+    });
+    return { y: (minY + maxY) / 2, size: { x: width, y: maxY - minY, z: depth } };
+}
+
+DEFAULT_CHUNKS.forEach(definition => {
+    const chunk = normalizeChunk(definition);
+    addChunk(chunk, [chunk.minSpeed, chunk.maxSpeed]);
+});
@@ -0,0 +1,186 @@
+// --- Difficulty Profiles ---
+// How hard a run gets as it goes on. Each profile is plain data, with curves given as
+// [distance, value] points (distance in blocks) that are interpolated in between and held
+// past either end:
+//
+//     {
+//         id: 'easy',
+//         label: 'EASY',
+//         minSpeed: 5, maxSpeed: 12,       // Speed ramp, the simulation config can still override it
+//         acceleration: 0.08,              // Speed increase per second...
+//         ramp: [[0, 1], [500, 0.6]],      // ...times this, so the speed curve flattens out later on
+//         density: [[0, 0.6], [400, 0.85]],   // Obstacles relative to normal: scales the chance of an
+//                                             // obstacle row, below 1 stretches the gaps between chunks
+//                                             // and above 1 favours chunks with more obstacles per row
+//         minGap: [[0, 2], [400, 1]],      // Extra blocks kept clear after every obstacle and chunk
+//         mix: [[0, { ufo: 0 }], [200, {}]]   // Spawn weight multipliers by obstacle type, from each
+//                                             // distance on (like a biome's, which they stack with).
+//                                             // Chunks that spell a type out are weighed by them too
+//     }
+//
+// The profile and the adaptive `ease` (0 to 1, see getAdaptiveEase) are part of the
+// simulation config, so replays reproduce them.
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// At full ease: half the ramp and the obstacles, and two more clear blocks after each
+const EASE = { ramp: 0.5, density: 0.5, minGap: 2 };
+
+// Adaptive mode eases off once the last runs in a row ended before this distance...
+const EARLY_DEATH_DISTANCE = 100;
+const EARLY_DEATHS_BEFORE_EASING = 2;
+const EASE_PER_EARLY_DEATH = 0.25; // ...a bit more for every further one
+
+const DEFAULT_DIFFICULTIES = [
+    {
+        id: 'easy',
+        label: 'EASY',
+        minSpeed: 5,
+        maxSpeed: 12,
+        acceleration: 0.08,
+        ramp: [[0, 1], [500, 0.6]],
+        density: [[0, 0.6], [400, 0.85]],
+        minGap: [[0, 2], [400, 1]],
+        mix: [[0, { ufo: 0, barrier: 0.5 }], [200, { ufo: 0.5 }], [500, {}]] // Ducking comes in late
+    },
+    {
+        // The original ramp and spawn odds
+        id: 'normal',
+        label: 'NORMAL',
+        minSpeed: 5,
+        maxSpeed: 15,
+        acceleration: 0.1,
+        ramp: [[0, 1]],
+        density: [[0, 1]],
+        minGap: [[0, 0]],
+        mix: []
+    },
+    {
+        id: 'hard',
+        label: 'HARD',
+        minSpeed: 6,
+        maxSpeed: 15,
+        acceleration: 0.15,
+        ramp: [[0, 1], [600, 1.3]],
+        density: [[0, 1.2], [500, 1.5]],
+        minGap: [[0, 0]],
+        mix: [[300, { ufo: 1.5, barrier: 1.5 }]]
+    }
+];
+
+const CURVES = ['ramp', 'density', 'minGap'];
+
+const difficulties = new Map();
+
+// Validates a definition and adds it, replacing any profile with the same id (keeping its place)
+export function registerDifficulty(definition) {
+    const id = definition && definition.id;
+    const fail = (message) => {
+        throw new Error('Difficulty "' + id + '": ' + message);
+    };
+
+    if (typeof id !== 'string' || id === '') fail('needs a string id');
+    if (!(definition.minSpeed > 0 && definition.minSpeed <= definition.maxSpeed)) {
+        fail('minSpeed must be above zero and not exceed maxSpeed');
+    }
+    if (!(definition.acceleration >= 0)) fail('acceleration must be zero or more');
+    CURVES.forEach(name => {
+        const curve = definition[name];
+        if (!Array.isArray(curve) || curve.length === 0) fail(name + ' needs at least one point');
+        curve.forEach((point, i) => {
+            if (!Array.isArray(point) || point.length !== 2 || !(point[1] >= 0)) {
+                fail(name + ' point ' + i + ' must be [distance, value] with a value of zero or more');
+            }
+        });
+        if (!isAscending(curve)) fail(name + ' distances must go up from point to point');
+    });
+    if (!definition.density.every(point => point[1] > 0)) fail('density must stay above zero');
+    const mix = definition.mix || [];
+    mix.forEach((point, i) => {
+        const multipliers = Array.isArray(point) && point[1];
+        if (!multipliers || typeof multipliers !== 'object') fail('mix point ' + i + ' must be [distance, multipliers]');
+        Object.keys(multipliers).forEach(kind => {
+            if (!(multipliers[kind] >= 0)) fail('mix multiplier for "' + kind + '" must be zero or more');
+        });
+    });
+    if (!isAscending(mix)) fail('mix distances must go up from point to point');
+
+    const difficulty = {
+        id,
+        label: definition.label || id.toUpperCase(),
+        minSpeed: definition.minSpeed,
+        maxSpeed: definition.maxSpeed,
+        acceleration: definition.acceleration,
+        ramp: definition.ramp,
+        density: definition.density,
+        minGap: definition.minGap,
+        mix
+    };
+    difficulties.set(id, difficulty);
+    return difficulty;
+}
+
+export function getDifficulty(id) {
+    const difficulty = difficulties.get(id);
+    if (!difficulty) throw new Error('Unknown difficulty "' + id + '"');
+    return difficulty;
+}
+
+export function getDifficulties() {
+    return Array.from(difficulties.values());
+}
+
+// {ramp, density, minGap, mix} of profile `id` at `distance`, eased off by `ease`
+export function getDifficultyAt(id, distance, ease = 0) {
+    const difficulty = getDifficulty(id);
+    let mix = {};
+    difficulty.mix.forEach(point => {
+        if (distance >= point[0]) mix = point[1];
+    });
+    return {
+        ramp: sampleCurve(difficulty.ramp, distance) * (1 - EASE.ramp * ease),
+        density: sampleCurve(difficulty.density, distance) * (1 - EASE.density * ease),
+        minGap: sampleCurve(difficulty.minGap, distance) + EASE.minGap * ease,
+        mix
+    };
+}
+
+// Obstacle types with the mix applied and the extra gap added, for pickObstacleType
+export function applyDifficulty(rules, types) {
+    return types.map(type => {
+        const multiplier = rules.mix[type.id];
+        return {
+            ...type,
+            weight: multiplier === undefined ? type.weight : type.weight * multiplier,
+            minGap: type.minGap + rules.minGap
+        };
+    });
+}
+
+// Ease for the next run from the finished ones (newest first, each with a distance)
+export function getAdaptiveEase(runs) {
+    let earlyDeaths = 0;
+    while (earlyDeaths < runs.length && runs[earlyDeaths].distance < EARLY_DEATH_DISTANCE) {
+        earlyDeaths++;
+    }
+    const steps = earlyDeaths - EARLY_DEATHS_BEFORE_EASING + 1;
+    return Math.min(1, Math.max(0, steps) * EASE_PER_EARLY_DEATH);
+}
+
+function sampleCurve(curve, distance) {
+    if (distance <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+        const [endDistance, endValue] = curve[i];
+        if (distance < endDistance) {
+            const [startDistance, startValue] = curve[i - 1];
+            return startValue + (endValue - startValue) * (distance - startDistance) / (endDistance - startDistance);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+function isAscending(points) {
+    return points.every((point, i) => typeof point[0] === 'number' && (i === 0 || point[0] > points[i - 1][0]));
+}
+
+DEFAULT_DIFFICULTIES.forEach(registerDifficulty);
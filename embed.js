@@ -0,0 +1,75 @@
+// --- Embed Bridge ---
+// postMessage protocol for host pages that run the game in an iframe. embed-harness.html is a
+// local stand-in host for trying it out.
+//
+// Game -> host, posted to the parent window:
+//     { source: 'jumpy-dash', type: 'ready', version: 1 }
+//     { source: 'jumpy-dash', type: 'runStarted', seed: 1234, replay: false,
+//       difficulty: 'normal', ease: 0 }                           // ease > 0 when adaptive mode eased off
+//     { source: 'jumpy-dash', type: 'coinCollected', coins: 3, score: 120 }
+//     { source: 'jumpy-dash', type: 'missionCompleted', id: 'coins-20', daily: true, reward: 30 }
+//     { source: 'jumpy-dash', type: 'reviveOffered', cost: 50, coins: 120, tokens: 0 }   // Continue panel is up
+//     { source: 'jumpy-dash', type: 'revived', paidWith: 'coins', revives: 1 }         // paidWith: coins or token
+//     { source: 'jumpy-dash', type: 'gameOver', score: 540, distance: 212, coins: 14, seed: 1234, reason: 'collision', revives: 0 }
+//     { source: 'jumpy-dash', type: 'paused' } / { ..., type: 'resumed' }
+//     { source: 'jumpy-dash', type: 'error', command: 'config', message: '...' }   // A command was rejected
+//
+// Host -> game:
+//     { target: 'jumpy-dash', type: 'start' }                    // Start a run, from any screen
+//     { target: 'jumpy-dash', type: 'pause' } / { ..., type: 'resume' }
+//     { target: 'jumpy-dash', type: 'mute', muted: true }
+//     { target: 'jumpy-dash', type: 'grantRevive', count: 1 }     // Free continues for this visit
+//     { target: 'jumpy-dash', type: 'config', minSpeed: 6, maxSpeed: 12, acceleration: 0.2,
+//       seed: 'daily-2026-10-19', theme: 'night',
+//       difficulty: 'easy', adaptive: true }                      // Any subset, applies from the next run
+//     (theme is the biome runs start in, see biomes.js: classic, forest, snow, desert or night;
+//      difficulty is a profile from difficulty.js: easy, normal or hard, over the player's pick;
+//      adaptive eases off after repeated early deaths, over the player's setting)
+//
+// Messages are only accepted from, and events only posted to, ALLOWED_ORIGINS.
+
+export const EMBED_VERSION = 1;
+const SOURCE = 'jumpy-dash';
+
+// Origins of the platforms allowed to embed and control the game. Add partner origins here,
+// e.g. 'https://play.example.com'. Never add '*': anyone could then drive the game.
+export const ALLOWED_ORIGINS = [window.location.origin];
+
+// `handlers` maps command types to functions taking the message; throwing rejects the command
+export function createEmbedBridge(handlers, allowedOrigins = ALLOWED_ORIGINS) {
+    const host = window.parent;
+    const embedded = !!host && host !== window;
+
+    function emit(type, data = {}) {
+        if (!embedded) return;
+        // Posting to an origin the parent doesn't have is silently dropped, so try each
+        allowedOrigins.forEach(origin => host.postMessage({ source: SOURCE, type, ...data }, origin));
+    }
+
+    function onMessage(event) {
+        if (event.source !== host || !allowedOrigins.includes(event.origin)) return;
+        const message = event.data;
+        if (!message || message.target !== SOURCE) return;
+
+        const handler = handlers[message.type];
+        if (!handler) {
+            emit('error', { command: message.type, message: 'Unknown command' });
+            return;
+        }
+        try {
+            handler(message);
+        } catch (e) {
+            emit('error', { command: message.type, message: e.message });
+        }
+    }
+
+    if (embedded) window.addEventListener('message', onMessage);
+
+    return {
+        embedded,
+        emit,
+        destroy() {
+            window.removeEventListener('message', onMessage);
+        }
+    };
+}
@@ -0,0 +1,27 @@
+// --- Event Bus ---
+// Game-wide announcements (state changes, run start and results...) so features like the
+// embed bridge can listen in without hooks all over game.js.
+
+export function createEventBus() {
+    const listeners = new Map(); // Event type -> array of listeners
+
+    const bus = {
+        // Returns a function that removes the listener again
+        on(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, []);
+            listeners.get(type).push(listener);
+            return () => bus.off(type, listener);
+        },
+        off(type, listener) {
+            const list = listeners.get(type);
+            if (!list) return;
+            const index = list.indexOf(listener);
+            if (index !== -1) list.splice(index, 1);
+        },
+        emit(type, data = {}) {
+            // Copy, listeners may unsubscribe while being called
+            (listeners.get(type) || []).slice().forEach(listener => listener(data));
+        }
+    };
+    return bus;
+}
@@ -1,65 +1,196 @@
 import * as THREE from 'three';
 import { TextureLoader } from 'three';
+import { normalizeSeed, randomSeed, seedFromUrl } from './rng.js';
+import { getObstacleType, getObstacleTypes } from './obstacles.js';
+import { getPowerUp } from './powerups.js';
+import { BLOCK_SIZE, FIXED_DT, LANES, LANE_WIDTH } from './physics.js';
+import { MAX_REVIVES, createSimulation } from './simulation.js';
+import { getSave, loadSave, recordRun, updateSave } from './storage.js';
+import { DEFAULT_KEYS, createDefaultSettings, getKeyAction, getKeyLabel, rebindKey } from './settings.js';
+import { EMBED_VERSION, createEmbedBridge } from './embed.js';
+import { ASSET_MANIFEST, createPreloader } from './assets.js';
+import { createSoundEngine } from './audio.js';
+import { createEventBus } from './events.js';
+import { createStateMachine } from './states.js';
+import { createGround } from './ground.js';
+import { createPool } from './pool.js';
+import { createParticles } from './particles.js';
+import { createMissionRecord, createMissionTracker } from './missions.js';
+import { DEFAULT_BIOME, getBiome, getBiomes } from './biomes.js';
+import { DEFAULT_SKIN, getPartColor, getSkin, getSkins } from './skins.js';
+import { DEFAULT_DIFFICULTY, getAdaptiveEase, getDifficulties, getDifficulty } from './difficulty.js';
+import { createPlayback, createRecorder, getRunResult, parseReplay, resultsMatch, serializeReplay, verifyReplay } from './replay.js';
 
 // --- Global Variables ---
 let scene, camera, renderer;
-let player;
+let player; // Group of the selected skin's parts, mirrors sim.player
+let skin; // Skin the player is wearing, see skins.js
+let trail = []; // Jump trail puffs, array of {mesh, age}
+let trailTime = 0; // Seconds since the last puff
+const TRAIL_INTERVAL = 0.03;
+const TRAIL_LIFETIME = 0.35;
+let particles; // Sparkles, dust and debris bursts, see particles.js
+let popupPool; // Reusable "+1" score popup elements
+let popups = []; // Array of {el, position, age}
+const POPUP_LIFETIME = 0.8;
+const POPUP_RISE = 1.5; // World units per second
+let debris = []; // Pieces of the ninja flying apart on a crash, array of {mesh, velocity, spin}
+let playerBroken = false; // The player's meshes are scattered and need rebuilding
+let shakeTime = 0; // Seconds of camera shake left
+let shakeStrength = 0;
+const shakeOffset = new THREE.Vector3();
+const SHAKE_DURATION = 0.3;
+let hitStopTime = 0; // Seconds the crash frame is held before the death animation
+const HIT_STOP = 0.12;
 let dirLight; 
+let ambientLight;
 let clock;
-let obstacles = [];
-let coins = [];
-let groundBlocks = []; // Array of {mesh, originalY, falling: bool, rising: bool, velocity: num}
-let gameActive = false;
-let score = 0;
-let speed = 5; // Start slower (was 8)
-const minSpeed = 5;
-const maxSpeed = 15;
-const acceleration = 0.1; // Speed increase per second
-const laneWidth = 1.2; 
-const BLOCK_SIZE = 1;
-let lastObstacleZ = -999;
-let jumpSound; // Audio for jump sound effect
-let collectSound; // Audio for coin collect sound
-let bgMusic; // Background music
-let musicEnabled = false; // Music toggle state (default off)
+let sim; // Game rules (simulation.js), the scene only mirrors its state
+let obstacles = []; // Array of {id, mesh, growing: bool, targetScale}
+let coins = []; // Array of {id, data, mesh, growing: bool}
+let powerUpPickups = []; // Array of {id, mesh, growing: bool}
+let shieldBubble; // Drawn around the player while a shield is up
+const powerUpTimerEls = new Map(); // Power-up id -> HUD timer element
+let decorations = []; // Side-lane trees, cacti..., array of {mesh, growing: bool}
+let groundBlocks = []; // Array of {tile, lane, originalY, falling: bool, rising: bool, shaking: bool, velocity: num}
+let ground; // Instanced ground tiles, see ground.js
+const pools = new Map(); // Pool key -> pool of meshes, see acquireMesh()
+const sharedResources = new Map(); // Key -> geometry or material used by many meshes, see shared()
+let accumulator = 0; // Frame time not yet consumed by fixed simulation steps
+const previousPlayerPosition = new THREE.Vector3(); // Player before the last step, for interpolation
+const MAX_FRAME_TIME = 0.25; // Longer hitches are dropped instead of simulated all at once
+let debugVisible = new URLSearchParams(window.location.search).has('debug'); // Toggled with `
+let debugTime = 0; // Seconds and frames since the debug overlay last refreshed
+let debugFrames = 0;
+const DEBUG_INTERVAL = 0.5;
+const SWIPE_THRESHOLD = 30; // Pixels a touch must travel to count as a swipe
+let touchStart = null; // {x, y, handled: bool} for the touch in progress
+let scoreBonusTime = 0; // Seconds the last bonus stays on the HUD
+const SCORE_BONUS_DURATION = 1;
+let playerSquash = 1; // Visual height of the ninja, eased down to SLIDE_SQUASH while sliding
+const SLIDE_SQUASH = 0.5;
+let sound; // Sound engine, see audio.js
+let rendererAntialias; // What the current renderer was made with
+let rebindingAction = null; // Action waiting for a new key in the settings panel
+const SHADOW_MAP_SIZES = { high: 2048, low: 512 };
+const HAPTIC_HIT = [80, 40, 120]; // Vibration patterns, milliseconds on/off
+const HAPTIC_BUMP = 40;
 let textureLoader; // Texture loader for obstacle images
-let cactusTexture;
-let woodTexture;
-let ufoTexture;
-let gameStarted = false; // Track if game has started from home screen
+const obstacleTextures = new Map(); // Sprite path -> texture, null if it failed to load
+let preloader; // Downloads the asset manifest, see assets.js
+const SOUND_JUMP = 'asset/cartoon-jump-6462.mp3';
+const SOUND_COLLECT = 'asset/collect.mp3';
+const COIN_PITCH_STEPS = 7; // Coins in a streak that each play a whole tone higher
+let currentSeed = 0; // Seed of the run in progress
+let fixedSeed = seedFromUrl(); // Seed forced by the URL or setSeed(), null = new seed every run
+let recorder = null; // Records the inputs of a live run
+let playback = null; // Set while watching a replay instead of playing
+let lastReplay = null; // Log of the last finished live run
+let simConfig = {}; // Speed ramp, starting biome and difficulty overrides for live runs (see sim.configure)
+let hostAdaptive = null; // Host's adaptive difficulty choice over the player's setting, null = none
+let biome = getBiome(DEFAULT_BIOME); // Biome the scene is blending towards, see biomes.js
+const BIOME_BLEND_RATE = 1.5; // How fast sky and light ease into a new biome, per second
+const blendColor = new THREE.Color();
+const bus = createEventBus(); // Game-wide events, see events.js
+let flow; // Game state machine (see Game States below)
+let countdownTime = 0; // Seconds left of the resume countdown
+const RESUME_COUNTDOWN = 3;
+let countdownAfterPause = false; // The countdown resumes a pause, not a revive
+let dyingTime = 0; // Seconds left of the death animation
+let deathVelocity = 0; // Vertical speed of the ninja while dying
+const DYING_DURATION = 1;
+let lastDeath = null; // gameOver event of the run that just ended
+let offerContinue = false; // The run that just ended can still be revived
+let continueTime = 0; // Seconds left to take the continue offer
+const CONTINUE_TIME = 6;
+const REVIVE_COST = 50; // Banked coins
+let reviveTokens = 0; // Free revives granted by the embedding host, for this visit only
+let embed; // postMessage bridge to an embedding host page (embed.js)
+let missionTracker; // Counts live runs towards missions and achievements, see missions.js
+const toastQueue = []; // Texts waiting for the toast, shown one at a time
+let toastTime = 0; // Seconds the current toast stays up
+const TOAST_DURATION = 2.5;
 
 // UI Elements
 const scoreEl = document.getElementById('score');
 const gameOverEl = document.getElementById('game-over');
 const finalScoreEl = document.getElementById('final-score');
+const scoreBreakdownEl = document.getElementById('score-breakdown');
+const scoreBonusEl = document.getElementById('score-bonus');
+const finalSeedEl = document.getElementById('final-seed');
+const deathReasonEl = document.getElementById('death-reason');
 const restartBtn = document.getElementById('restart-btn');
 const homeScreen = document.getElementById('home-screen');
+const loadingScreen = document.getElementById('loading-screen');
+const loadingBar = document.getElementById('loading-bar');
+const loadingPercentEl = document.getElementById('loading-percent');
+const loadWarningEl = document.getElementById('load-warning');
 const playBtn = document.getElementById('play-btn');
 const musicBtn = document.getElementById('music-btn');
+const difficultyBtn = document.getElementById('difficulty-btn');
 const musicToggle = document.getElementById('music-toggle');
 const uiContainer = document.getElementById('ui-container');
+const replayBadge = document.getElementById('replay-badge');
+const powerUpTimersEl = document.getElementById('power-up-timers');
+const replayStatusEl = document.getElementById('replay-status');
+const watchReplayBtn = document.getElementById('watch-replay-btn');
+const saveReplayBtn = document.getElementById('save-replay-btn');
+const loadReplayBtn = document.getElementById('load-replay-btn');
+const replayFileInput = document.getElementById('replay-file');
+const bestScoreEl = document.getElementById('best-score');
+const newBestEl = document.getElementById('new-best');
+const leaderboardBtn = document.getElementById('leaderboard-btn');
+const leaderboardEl = document.getElementById('leaderboard');
+const leaderboardListEl = document.getElementById('leaderboard-list');
+const leaderboardStatsEl = document.getElementById('leaderboard-stats');
+const leaderboardCloseBtn = document.getElementById('leaderboard-close-btn');
+const settingsEl = document.getElementById('settings');
+const settingsBtn = document.getElementById('settings-btn');
+const pauseSettingsBtn = document.getElementById('pause-settings-btn');
+const settingsCloseBtn = document.getElementById('settings-close-btn');
+const keyBindingsEl = document.getElementById('key-bindings');
+const resetKeysBtn = document.getElementById('reset-keys-btn');
+const debugOverlayEl = document.getElementById('debug-overlay');
+const pauseBtn = document.getElementById('pause-btn');
+const pauseOverlay = document.getElementById('pause-overlay');
+const resumeBtn = document.getElementById('resume-btn');
+const pauseRestartBtn = document.getElementById('pause-restart-btn');
+const pauseHomeBtn = document.getElementById('pause-home-btn');
+const countdownEl = document.getElementById('countdown');
+const gameOverHomeBtn = document.getElementById('game-over-home-btn');
+const popupsEl = document.getElementById('popups');
+const missionsBtn = document.getElementById('missions-btn');
+const missionsEl = document.getElementById('missions');
+const missionsListEl = document.getElementById('missions-list');
+const missionsCloseBtn = document.getElementById('missions-close-btn');
+const toastEl = document.getElementById('toast');
+const continueEl = document.getElementById('continue');
+const continueTimerEl = document.getElementById('continue-timer');
+const continueCoinsBtn = document.getElementById('continue-coins-btn');
+const continueTokenBtn = document.getElementById('continue-token-btn');
+const continueSkipBtn = document.getElementById('continue-skip-btn');
+const shopBtn = document.getElementById('shop-btn');
+const shopEl = document.getElementById('shop');
+const shopCoinsEl = document.getElementById('shop-coins');
+const shopListEl = document.getElementById('shop-list');
+const shopCloseBtn = document.getElementById('shop-close-btn');
 
 // Colors (Vibrant Palette)
-const COLOR_BG = 0x6A5ACD; // SlateBlue/Purple-ish
-const COLOR_GROUND_TOP = 0xFFE4B5; // Vibrant Yellow-Orange (NavajoWhite)
 const COLOR_GROUND_INNER = 0xFFCFA1; // Slightly Darker/Different for inner square
-const COLOR_GROUND_SIDE = 0xFF9C59; // Vibrant Orange
-const COLOR_GROUND_FRONT = 0xFF6600; // Brighter Orange for Front Face
-const COLOR_GROUND_DIRT = 0x8B4513; // Darker dirt color for lower part of sides (SaddleBrown)
-const COLOR_PLAYER = 0xFF0000; // Bright Red
-const COLOR_NINJA_MASK = 0x000000; // Black for ninja mask
-const COLOR_NINJA_BELT = 0x2F2F2F; // Dark gray for belt
+const COLOR_GROUND_CRACKED = 0xC8A27A; // Duller top for crumbling tiles
+const COLOR_GROUND_CRACKED_SIDE = 0xB5652B;
+const COLOR_GROUND_CRACKED_FRONT = 0xA0522D;
 const COLOR_OBSTACLE = 0x778899; // LightSlateGray
-const COLOR_TREE_LEAVES = 0x00C957; // Vibrant Green
-const COLOR_TREE_TRUNK = 0x8B4513; // SaddleBrown
+const COLOR_LASER = 0xFF1744; // Barrier beam and field
 const COLOR_COIN = 0xFFD700; // Gold
+const COLOR_SPARKLE = 0xFFF59D; // Light gold
 const COLOR_SHADOW = 0x8B4500; // Darker brown for tree shadow
 
 // --- Initialization ---
 function init() {
     // Scene setup
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(COLOR_BG);
+    scene.background = new THREE.Color(biome.sky);
 
     // Camera setup - Isometric
     const aspect = window.innerWidth / window.innerHeight;
@@ -67,27 +198,14 @@ function init() {
     camera = new THREE.OrthographicCamera(-d * aspect, d * aspect, d, -d, 1, 1000);
     
     // Renderer setup
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    document.body.appendChild(renderer.domElement);
-    
-    // Ensure canvas is touch-friendly
-    renderer.domElement.style.touchAction = 'none';
-    renderer.domElement.style.webkitTouchCallout = 'none';
-    renderer.domElement.style.webkitUserSelect = 'none';
-    renderer.domElement.style.userSelect = 'none';
+    createRenderer(getSettings().antialias);
 
     // Lights - Brighter for vibrant colors
-    const ambientLight = new THREE.AmbientLight(0xffffff, 1.1); 
+    ambientLight = new THREE.AmbientLight(0xffffff, biome.ambientIntensity); 
     scene.add(ambientLight);
 
-    dirLight = new THREE.DirectionalLight(0xffffff, 0.8); 
+    dirLight = new THREE.DirectionalLight(biome.light, biome.lightIntensity); 
     dirLight.position.set(10, 20, 10); 
-    dirLight.castShadow = true;
-    dirLight.shadow.mapSize.width = 2048;
-    dirLight.shadow.mapSize.height = 2048;
     dirLight.shadow.camera.near = 0.5;
     dirLight.shadow.camera.far = 50;
     const shadowD = 15;
@@ -97,6 +215,11 @@ function init() {
     dirLight.shadow.camera.bottom = -shadowD;
     scene.add(dirLight);
 
+    ground = createGround(scene);
+    particles = createParticles(scene);
+    popupPool = createPool(createPopup);
+    ground.setLook('cracked', COLOR_GROUND_CRACKED, COLOR_GROUND_CRACKED_SIDE, COLOR_GROUND_CRACKED_FRONT);
+
     // Event Listeners
     window.addEventListener('resize', onWindowResize, false);
     document.addEventListener('keydown', onKeyDown, false);
@@ -104,13 +227,14 @@ function init() {
     
     // Touch / Click Listeners
     document.addEventListener('mousedown', onInputStart, false);
-    document.addEventListener('touchstart', onInputStart, { passive: false });
+    document.addEventListener('touchstart', onTouchStart, { passive: false });
+    document.addEventListener('touchmove', onTouchMove, { passive: false });
     document.addEventListener('mouseup', onInputEnd, false);
-    document.addEventListener('touchend', onInputEnd, false);
+    document.addEventListener('touchend', onTouchEnd, false);
 
     const handleRestart = (e) => {
         e.stopPropagation(); // Prevent jump on button click
-        resetGame();
+        startRun();
     };
     restartBtn.addEventListener('click', handleRestart);
     restartBtn.addEventListener('touchend', (e) => {
@@ -120,42 +244,29 @@ function init() {
     });
 
     clock = new THREE.Clock();
+    sim = createSimulation();
     
-    // Load textures for obstacles
+    // Sprites of every registered obstacle type are preloaded, not just the built-in ones,
+    // and so is the music of every biome
     textureLoader = new TextureLoader();
-    cactusTexture = textureLoader.load('asset/Cactus.png');
-    cactusTexture.colorSpace = THREE.SRGBColorSpace; // Preserve original colors
-    woodTexture = textureLoader.load('asset/wood.png');
-    woodTexture.colorSpace = THREE.SRGBColorSpace; // Preserve original colors
-    ufoTexture = textureLoader.load('asset/ufo.png');
-    ufoTexture.colorSpace = THREE.SRGBColorSpace; // Preserve original colors
-    
-    // Load jump sound
-    jumpSound = new Audio('asset/cartoon-jump-6462.mp3');
-    jumpSound.volume = 0.5; // Set volume (0.0 to 1.0)
-    jumpSound.preload = 'auto';
-    
-    // Load coin collect sound
-    collectSound = new Audio('asset/collect.mp3');
-    collectSound.volume = 0.5;
-    collectSound.preload = 'auto';
-    
-    // Load background music (if available)
-    bgMusic = new Audio('asset/backgroundmusic.mp3');
-    bgMusic.volume = 0.3;
-    bgMusic.loop = true;
-    bgMusic.preload = 'auto';
+    sound = createSoundEngine();
+    const manifest = [...ASSET_MANIFEST];
+    getObstacleTypes().forEach(type => {
+        if (type.sprite && !manifest.some(item => item.url === type.sprite)) {
+            manifest.push({ url: type.sprite, type: 'texture', critical: true });
+        }
+    });
+    getBiomeMusic().forEach(url => {
+        if (!manifest.some(item => item.url === url)) manifest.push({ url, type: 'audio', critical: false });
+    });
+    preloader = createPreloader(manifest, {
+        texture: decodeTexture,
+        audio: (blob) => blob.arrayBuffer().then(sound.decode)
+    });
     
     // Home screen button listeners (click and touch)
     const handlePlay = () => {
-        homeScreen.style.display = 'none';
-        uiContainer.style.display = 'block';
-        musicToggle.style.display = 'block';
-        gameStarted = true;
-        startGame();
-        if (musicEnabled && bgMusic) {
-            bgMusic.play().catch(e => console.log("Music play failed:", e));
-        }
+        startRun();
     };
     playBtn.addEventListener('click', handlePlay);
     playBtn.addEventListener('touchend', (e) => {
@@ -164,636 +275,1150 @@ function init() {
         handlePlay();
     });
     
-    const handleMusicBtn = () => {
-        musicEnabled = !musicEnabled;
-        updateMusicButton();
-        if (musicEnabled && bgMusic) {
-            bgMusic.play().catch(e => console.log("Music play failed:", e));
-        } else if (bgMusic) {
-            bgMusic.pause();
-        }
-    };
-    musicBtn.addEventListener('click', handleMusicBtn);
-    musicBtn.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        handleMusicBtn();
+    // Music on/off from the home screen or in game
+    bindButton(musicBtn, () => changeSetting('musicEnabled', !getSettings().musicEnabled));
+    bindButton(musicToggle, () => changeSetting('musicEnabled', !getSettings().musicEnabled));
+
+    // Difficulty presets, cycled from the home screen
+    bindButton(difficultyBtn, () => {
+        const list = getDifficulties();
+        const next = list[(list.indexOf(getSelectedDifficulty()) + 1) % list.length];
+        changeSetting('difficulty', next.id);
+    });
+
+    // Settings panel, inputs name the setting they change
+    bindButton(settingsBtn, showSettings);
+    bindButton(pauseSettingsBtn, showSettings);
+    bindButton(settingsCloseBtn, closeSettings);
+    settingsEl.querySelectorAll('[data-setting]').forEach(input => {
+        input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+            changeSetting(input.dataset.setting, readSettingInput(input));
+        });
+    });
+    Object.keys(DEFAULT_KEYS).forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+        row.textContent = action.toUpperCase();
+        const button = document.createElement('button');
+        button.className = 'small-btn key-btn';
+        button.dataset.action = action;
+        bindButton(button, () => {
+            rebindingAction = action;
+            updateSettingsPanel();
+        });
+        row.appendChild(button);
+        keyBindingsEl.appendChild(row);
+    });
+    bindButton(resetKeysBtn, () => changeSetting('keys', createDefaultSettings().keys));
+
+    // Skin shop
+    getSkins().forEach(option => {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+        const swatch = document.createElement('span');
+        swatch.className = 'skin-swatch';
+        swatch.style.background = '#' + getPartColor(option, option.parts[0]).toString(16).padStart(6, '0');
+        const label = document.createElement('span');
+        label.appendChild(swatch);
+        label.appendChild(document.createTextNode(option.label));
+        row.appendChild(label);
+        const button = document.createElement('button');
+        button.className = 'small-btn shop-item-btn';
+        button.dataset.skin = option.id;
+        bindButton(button, () => buySkin(option.id));
+        row.appendChild(button);
+        shopListEl.appendChild(row);
+    });
+    bindButton(shopBtn, showShop);
+    bindButton(missionsBtn, showMissions);
+    bindButton(missionsCloseBtn, () => {
+        missionsEl.style.display = 'none';
+    });
+    bindButton(shopCloseBtn, () => {
+        shopEl.style.display = 'none';
+    });
+
+    // Replays
+    bindButton(watchReplayBtn, () => {
+        const log = playback ? playback.log : lastReplay;
+        if (log) startRun(log);
+    });
+    bindButton(saveReplayBtn, () => {
+        const log = playback ? playback.log : lastReplay;
+        if (log) downloadReplay(log);
+    });
+    bindButton(loadReplayBtn, () => replayFileInput.click());
+    replayFileInput.addEventListener('change', () => {
+        const file = replayFileInput.files[0];
+        replayFileInput.value = '';
+        if (!file) return;
+        file.text().then(text => startRun(parseReplay(text)))
+            .catch(e => alert('Could not load replay: ' + e.message));
     });
     
-    const handleMusicToggle = (e) => {
-        e.stopPropagation();
-        musicEnabled = !musicEnabled;
-        updateMusicToggle();
-        if (musicEnabled && bgMusic) {
-            bgMusic.play().catch(e => console.log("Music play failed:", e));
-        } else if (bgMusic) {
-            bgMusic.pause();
-        }
-    };
-    musicToggle.addEventListener('click', handleMusicToggle);
-    musicToggle.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        handleMusicToggle(e);
+    // High scores and stats
+    bindButton(leaderboardBtn, showLeaderboard);
+    bindButton(leaderboardCloseBtn, () => {
+        leaderboardEl.style.display = 'none';
+    });
+
+    // Pause and leaving a run
+    bindButton(pauseBtn, pauseGame);
+    bindButton(resumeBtn, resumeGame);
+    bindButton(pauseRestartBtn, () => startRun(playback ? playback.log : null));
+    bindButton(pauseHomeBtn, () => flow.go('home'));
+    bindButton(gameOverHomeBtn, () => flow.go('home'));
+    bindButton(continueCoinsBtn, () => reviveWith('coins'));
+    bindButton(continueTokenBtn, () => reviveWith('token'));
+    bindButton(continueSkipBtn, declineContinue);
+    // Never keep running while nobody is watching
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseGame();
+    });
+    window.addEventListener('blur', pauseGame);
+
+    // Host page commands when running in an iframe
+    embed = createEmbedBridge({
+        start: () => {
+            if (flow.is('boot')) throw new Error('Still loading');
+            startRun();
+        },
+        pause: pauseGame,
+        resume: resumeGame,
+        mute: (message) => setMuted(message.muted !== false),
+        config: applyHostConfig,
+        grantRevive: (message) => grantRevive(message.count === undefined ? 1 : message.count)
     });
+    ['ready', 'runStarted', 'coinCollected', 'missionCompleted', 'reviveOffered', 'revived', 'gameOver', 'paused', 'resumed'].forEach(type => {
+        bus.on(type, data => embed.emit(type, data));
+    });
+
+    applySettings(); // Defaults until the save has loaded
+
+    // Screens follow the state
+    flow = createStateMachine(GAME_STATES, bus);
+    bus.on('stateChanged', ({ to }) => showScreens(to));
+    flow.go('boot');
     
-    // Start animation loop (but don't start game yet)
+    // Start animation loop
     animate();
 }
 
-function startGame() {
-    createPlayer();
-    resetGame();
+// Start a live run, or watch `replayLog` if given, from whatever screen is up
+function startRun(replayLog = null) {
+    settleDeadRun();
+    if (!player) createPlayer();
+    resetRun(replayLog);
+    flow.go(playback ? 'replay' : 'playing');
+    bus.emit('runStarted', { seed: currentSeed, replay: !!playback, difficulty: sim.config.difficulty, ease: sim.config.ease });
 }
 
-function resetGame() {
+function resetRun(replayLog = null) {
     // Clear existing objects
-    obstacles.forEach(o => scene.remove(o.mesh));
-    coins.forEach(c => scene.remove(c.mesh));
-    groundBlocks.forEach(g => scene.remove(g.mesh));
+    [obstacles, coins, powerUpPickups, decorations, trail].forEach(list => {
+        list.forEach(item => releaseMesh(item.mesh));
+    });
+    clearEffects();
+    if (playerBroken) dressPlayer(); // Put the pieces back together
+    ground.clear();
+    // A look per biome, refreshed in case biomes were registered or changed since
+    getBiomes().forEach(b => ground.setLook(b.id, b.groundTop, b.groundSide, b.groundFront));
     
     obstacles = [];
     coins = [];
+    powerUpPickups = [];
+    decorations = [];
+    trail = [];
     groundBlocks = [];
     
-    score = 0;
     scoreEl.innerText = "0";
-    gameActive = true;
-    speed = minSpeed; // Reset to start speed
-    lastObstacleZ = -999;
-    
-    player.position.set(0, 0.8, 0); // Raised to sit on top of ground tiles (ground top is at y=0.5) 
-    player.currentLane = 0; 
-    player.verticalVelocity = 0;
-    player.isJumping = false;
+    scoreBonusEl.innerText = '';
+    scoreBonusTime = 0;
+    playback = replayLog ? createPlayback(replayLog) : null;
+    if (playback) {
+        currentSeed = replayLog.seed;
+    } else {
+        currentSeed = fixedSeed !== null ? fixedSeed : randomSeed();
+    }
+    if (!playback) startMissions(); // Replays don't count
+    sim.configure(playback ? replayLog.config : getLiveConfig());
+    sim.reset(currentSeed);
+    enterBiome(sim.biome, true);
+    recorder = playback ? null : createRecorder(currentSeed, sim.config);
+    setPlayerGhost(!!playback);
+    replayBadge.style.display = playback ? 'block' : 'none';
+    accumulator = 0;
+    playerSquash = 1;
+    player.rotation.set(0, 0, 0);
+    previousPlayerPosition.set(sim.player.x, sim.player.y, sim.player.z);
+    syncPlayer(1);
+    updatePowerUpHud();
 
-    gameOverEl.style.display = 'none';
+    // Initial ground and items arrive as spawn events
+    handleSimEvents();
+}
 
-    // Initial Ground
-    for (let i = -5; i < 15; i++) {
-        spawnGroundRow(i * BLOCK_SIZE, true); 
-    }
+// Applies everything the simulation did since the last call to the scene
+function handleSimEvents() {
+    sim.drainEvents().forEach(event => {
+        if (!playback) trackMissions(event);
+        switch (event.type) {
+            case 'rowSpawned':
+                spawnGroundRow(event.z, event.biome, event.instant || reducedMotion(), event.holes);
+                break;
+            case 'biomeChanged':
+                enterBiome(event.biome);
+                showScoreBonus(biome.label);
+                break;
+            case 'tileCrumbling':
+                setTileState(event.lane, event.z, 'shaking');
+                break;
+            case 'tileFell':
+                setTileState(event.lane, event.z, 'falling');
+                break;
+            case 'holeFilled':
+                restoreTile(event.lane, event.z, event.biome);
+                break;
+            case 'revived':
+                restorePlayer();
+                break;
+            case 'decorationSpawned':
+                spawnDecoration(event.kind, event.biome, event.x, event.y, event.z, event.instant || reducedMotion());
+                break;
+            case 'obstacleSpawned':
+                createObstacle(event.obstacle, event.instant || reducedMotion());
+                break;
+            case 'coinSpawned':
+                createCoin(event.coin, event.instant || reducedMotion());
+                break;
+            case 'obstacleRemoved':
+                removeItem(obstacles, event.obstacle.id);
+                break;
+            case 'coinRemoved':
+                removeItem(coins, event.coin.id);
+                break;
+            case 'coinCollected':
+                collectCoin(event.coin, event.points);
+                if (event.combo > 1) showScoreBonus('COMBO x' + event.combo);
+                bus.emit('coinCollected', { coins: sim.scoring.coins, score: sim.score });
+                break;
+            case 'nearMiss':
+                showScoreBonus('NEAR MISS +' + event.points);
+                break;
+            case 'powerUpSpawned':
+                createPowerUp(event.powerUp, event.instant || reducedMotion());
+                break;
+            case 'powerUpRemoved':
+                removeItem(powerUpPickups, event.powerUp.id);
+                break;
+            case 'powerUpCollected':
+                removeItem(powerUpPickups, event.powerUp.id);
+                sound.play('collect');
+                break;
+            case 'jumped':
+                sound.play('jump');
+                kickUpDust();
+                break;
+            case 'landed':
+                kickUpDust();
+                break;
+            case 'shieldUsed':
+                vibrate(HAPTIC_BUMP);
+                shakeCamera(0.1);
+                break;
+            case 'gameOver':
+                if (playback) {
+                    playback.applyDue(sim); // The log may revive right away
+                    if (sim.alive) break;
+                }
+                vibrate(HAPTIC_HIT);
+                flow.go('dying', event);
+                break;
+        }
+    });
+}
+
+function removeItem(list, id) {
+    const index = list.findIndex(item => item.id === id);
+    if (index === -1) return;
+    releaseMesh(list[index].mesh);
+    list.splice(index, 1);
 }
 
 // --- Player ---
 function createPlayer() {
-    // Create player as a group to add ninja decorations
     player = new THREE.Group();
-    
-    // 1. Main red cube body
-    const bodyGeometry = new THREE.BoxGeometry(0.6, 0.6, 0.6);
-    const bodyMaterial = new THREE.MeshStandardMaterial({ 
-        color: COLOR_PLAYER, 
-        emissive: COLOR_PLAYER, 
-        emissiveIntensity: 0.3 
-    });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    body.castShadow = true;
-    body.receiveShadow = true;
-    player.add(body);
-    
-    // 2. Ninja mask on front face (black)
-    const maskSize = 0.5;
-    const maskGeometry = new THREE.PlaneGeometry(maskSize, maskSize * 0.6);
-    const maskMaterial = new THREE.MeshStandardMaterial({ 
-        color: COLOR_NINJA_MASK,
-        emissive: COLOR_NINJA_MASK,
-        emissiveIntensity: 0.1
-    });
-    const mask = new THREE.Mesh(maskGeometry, maskMaterial);
-    mask.position.set(0, 0.1, 0.31); // Front face, slightly up
-    mask.rotation.y = 0;
-    player.add(mask);
-    
-    // 3. Ninja headband (horizontal black stripe on top)
-    const headbandGeometry = new THREE.BoxGeometry(0.5, 0.1, 0.5);
-    const headbandMaterial = new THREE.MeshStandardMaterial({ 
-        color: COLOR_NINJA_MASK,
-        emissive: COLOR_NINJA_MASK,
-        emissiveIntensity: 0.1
-    });
-    const headband = new THREE.Mesh(headbandGeometry, headbandMaterial);
-    headband.position.set(0, 0.35, 0);
-    player.add(headband);
-    
-    // 4. Ninja belt (horizontal stripe around middle)
-    const beltGeometry = new THREE.BoxGeometry(0.65, 0.08, 0.65);
-    const beltMaterial = new THREE.MeshStandardMaterial({ 
-        color: COLOR_NINJA_BELT,
-        emissive: COLOR_NINJA_BELT,
-        emissiveIntensity: 0.1
-    });
-    const belt = new THREE.Mesh(beltGeometry, beltMaterial);
-    belt.position.set(0, -0.1, 0);
-    player.add(belt);
-    
-    // 5. Ninja shuriken on side (small decorative element)
-    const shurikenSize = 0.15;
-    const shurikenGeometry = new THREE.PlaneGeometry(shurikenSize, shurikenSize);
-    const shurikenMaterial = new THREE.MeshStandardMaterial({ 
-        color: COLOR_NINJA_MASK,
-        emissive: COLOR_NINJA_MASK,
-        emissiveIntensity: 0.1,
-        side: THREE.DoubleSide
-    });
-    const shuriken = new THREE.Mesh(shurikenGeometry, shurikenMaterial);
-    shuriken.rotation.y = Math.PI / 2;
-    shuriken.position.set(0.31, 0.2, 0); // Right side
-    player.add(shuriken);
+    dressPlayer();
     
     player.castShadow = true;
     player.receiveShadow = true;
     player.position.y = 0.8; 
     scene.add(player);
-    
-    player.currentLane = 0; 
-    player.targetX = 0;
-    player.verticalVelocity = 0;
-    player.isJumping = false;
-    
-    player.update = function(dt) {
-        player.position.x = 0; 
 
-        // Gravity and Jumping
-        if (player.isJumping) {
-            player.verticalVelocity -= 35 * dt;
-            player.position.y += player.verticalVelocity * dt;
-            
-            if (player.position.y <= 0.8) {
-                player.position.y = 0.8;
-                player.isJumping = false;
-                player.verticalVelocity = 0;
-            }
-        }
-        
-        player.position.z += speed * dt;
-        
-        // Camera Follow
-        const offset = 10;
-        camera.position.set(player.position.x - offset, player.position.y + offset, player.position.z - offset);
-        camera.lookAt(player.position.x, player.position.y, player.position.z + 5); 
-        
-        // Light Follow
-        dirLight.position.set(player.position.x + 10, player.position.y + 20, player.position.z + 10);
-        dirLight.target.position.set(player.position.x, player.position.y, player.position.z);
-        dirLight.target.updateMatrixWorld();
+    // Shield bubble (separate from the group so ghost mode leaves it alone)
+    shieldBubble = new THREE.Mesh(
+        new THREE.SphereGeometry(0.6, 16, 12),
+        new THREE.MeshStandardMaterial({
+            color: getPowerUp('shield').color,
+            emissive: getPowerUp('shield').color,
+            emissiveIntensity: 0.5,
+            transparent: true,
+            opacity: 0.3,
+            depthWrite: false
+        })
+    );
+    shieldBubble.visible = false;
+    scene.add(shieldBubble);
+}
+
+// Rebuilds the player's meshes from the selected skin
+function dressPlayer() {
+    skin = getSelectedSkin();
+    playerBroken = false;
+    player.children.slice().forEach(child => {
+        player.remove(child);
+        child.geometry.dispose();
+        child.material.dispose();
+    });
+
+    [...skin.parts, ...skin.accessories].forEach(part => {
+        const geometry = part.shape === 'box'
+            ? new THREE.BoxGeometry(...part.size)
+            : new THREE.PlaneGeometry(...part.size);
+        const color = getPartColor(skin, part);
+        const material = new THREE.MeshStandardMaterial({
+            color,
+            emissive: color,
+            emissiveIntensity: part.glow !== undefined ? part.glow : 0.1,
+            side: part.doubleSide ? THREE.DoubleSide : THREE.FrontSide
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        if (part.position) mesh.position.set(...part.position);
+        if (part.rotation) mesh.rotation.set(...part.rotation);
+        mesh.castShadow = !!part.shadow;
+        mesh.receiveShadow = !!part.shadow;
+        player.add(mesh);
+    });
+}
+
+// The player's difficulty and how much adaptive mode eases it, under the host's overrides
+function getLiveConfig() {
+    const adaptive = hostAdaptive !== null ? hostAdaptive : getSettings().adaptiveDifficulty;
+    return {
+        difficulty: getSelectedDifficulty().id,
+        ease: adaptive ? getAdaptiveEase(getSave().history) : 0,
+        ...simConfig
     };
 }
 
+function getSelectedDifficulty() {
+    try {
+        return getDifficulty(getSettings().difficulty);
+    } catch (e) {
+        return getDifficulty(DEFAULT_DIFFICULTY);
+    }
+}
+
+// The saved skin, or the default one if it's no longer registered
+function getSelectedSkin() {
+    try {
+        return getSkin(getSave().skins.selected);
+    } catch (e) {
+        return getSkin(DEFAULT_SKIN);
+    }
+}
+
+// Back in one piece and upright where the simulation revived it
+function restorePlayer() {
+    if (playerBroken) dressPlayer();
+    setPlayerGhost(!!playback);
+    debris = [];
+    hitStopTime = 0;
+    player.rotation.set(0, 0, 0);
+    previousPlayerPosition.set(sim.player.x, sim.player.y, sim.player.z);
+    syncPlayer(1);
+}
+
+// Replays show the player as a see-through ghost
+function setPlayerGhost(enabled) {
+    player.traverse(child => {
+        if (!child.material) return;
+        child.material.transparent = enabled;
+        child.material.opacity = enabled ? 0.45 : 1;
+        child.castShadow = !enabled;
+    });
+}
+
+// Mirror the simulated player into the scene, blended between the last two steps
+function syncPlayer(alpha) {
+    const p = sim.player;
+    player.position.copy(previousPlayerPosition).lerp(new THREE.Vector3(p.x, p.y, p.z), alpha);
+
+    // Squash while sliding, keeping the feet on the ground
+    const stretch = 1 + (1 - playerSquash) * 0.5;
+    player.scale.set(stretch, playerSquash, stretch);
+    player.position.y -= (1 - playerSquash) * 0.3;
+
+    // Flashes while obstacles pass through after a revive
+    player.visible = !(sim.invulnerable > 0 && !reducedMotion() && Math.floor(sim.invulnerable * 8) % 2 === 1);
+    shieldBubble.visible = sim.shielded;
+    shieldBubble.position.copy(player.position);
+
+    // Camera Follow
+    const offset = 10;
+    camera.position.set(player.position.x - offset, player.position.y + offset, player.position.z - offset);
+    camera.lookAt(player.position.x, player.position.y, player.position.z + 5); 
+    
+    // Light Follow
+    dirLight.position.set(player.position.x + 10, player.position.y + 20, player.position.z + 10);
+    dirLight.target.position.set(player.position.x, player.position.y, player.position.z);
+    dirLight.target.updateMatrixWorld();
+}
+
 // --- Input Handling ---
+function isUiTarget(target) {
+    return target.id === 'restart-btn' || target.id === 'play-btn' || 
+        target.id === 'music-btn' || target.id === 'music-toggle' ||
+        !!target.closest('button');
+}
+
 function onInputStart(event) {
     // Ignore touches/clicks on buttons
-    const target = event.target;
-    if (target.id === 'restart-btn' || target.id === 'play-btn' || 
-        target.id === 'music-btn' || target.id === 'music-toggle' ||
-        target.closest('button')) {
-        return;
-    }
+    if (isUiTarget(event.target)) return;
     
-    if (event.type === 'touchstart') event.preventDefault(); 
-    
-    if (!gameActive) return;
-
-    if (!player.isJumping) {
-        player.verticalVelocity = 15; 
-        player.isJumping = true;
-        
-        // Play jump sound
-        if (jumpSound) {
-            jumpSound.currentTime = 0; // Reset to start
-            jumpSound.play().catch(e => console.log("Audio play failed:", e));
-        }
-    }
+    sendInput('jump');
 }
 
 function onInputEnd(event) {
     // Ignore touches/clicks on buttons
-    const target = event.target;
-    if (target.id === 'restart-btn' || target.id === 'play-btn' || 
-        target.id === 'music-btn' || target.id === 'music-toggle' ||
-        target.closest('button')) {
-        return;
-    }
-    
-    if (!gameActive) return;
+    if (isUiTarget(event.target)) return;
     
-    if (player.isJumping && player.verticalVelocity > 5) {
-        player.verticalVelocity = 5;
+    sendInput('release');
+}
+
+// Touch: swipe left/right changes lane, swipe down slides, swipe up or tap jumps
+function onTouchStart(event) {
+    // Menus and panels keep their own touch behaviour (sliders, toggles, scrolling)
+    if (!flow.is('playing') || isUiTarget(event.target)) return;
+    event.preventDefault(); // Also stops the emulated mousedown
+    const touch = event.changedTouches[0];
+    touchStart = { x: touch.clientX, y: touch.clientY, handled: false };
+}
+
+function onTouchMove(event) {
+    if (!touchStart || touchStart.handled) return;
+    event.preventDefault();
+    const touch = event.changedTouches[0];
+    const dx = touch.clientX - touchStart.x;
+    const dy = touch.clientY - touchStart.y;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_THRESHOLD) return;
+
+    touchStart.handled = true;
+    if (Math.abs(dx) > Math.abs(dy)) {
+        sendInput(dx < 0 ? 'left' : 'right');
+    } else {
+        sendInput(dy < 0 ? 'jump' : 'slide');
     }
 }
 
+function onTouchEnd() {
+    if (!touchStart) return;
+    if (!touchStart.handled) sendInput('jump'); // Tap
+    touchStart = null;
+}
+
 function onKeyDown(event) {
-    if (['ArrowUp', 'KeyW', 'Space'].includes(event.code)) {
+    // The settings panel is waiting for a new key, Escape cancels
+    if (rebindingAction) {
+        event.preventDefault();
+        if (event.code !== 'Escape') changeSetting('keys', rebindKey(getSettings().keys, rebindingAction, event.code));
+        rebindingAction = null;
+        updateSettingsPanel();
+        return;
+    }
+
+    if (event.code === 'Backquote') {
+        debugVisible = !debugVisible;
+        return;
+    }
+
+    const action = getKeyAction(getSettings().keys, event.code);
+    if (action === 'pause' && !event.repeat) {
+        if (flow.is('paused')) {
+            resumeGame();
+        } else {
+            pauseGame();
+        }
+    } else if (action === 'jump') {
         onInputStart(event);
+    } else if (action && action !== 'pause' && !event.repeat) {
+        sendInput(action);
     }
 }
 
 function onKeyUp(event) {
-    if (['ArrowUp', 'KeyW', 'Space'].includes(event.code)) {
+    if (getKeyAction(getSettings().keys, event.code) === 'jump') {
         onInputEnd(event);
     }
 }
 
+// Live input goes to the simulation and, if it did something, into the replay log
+function sendInput(action) {
+    if (!flow.is('playing')) return; // Replays only take inputs from their log
+    if (sim.input(action)) {
+        recorder.record(sim.tick, action);
+    }
+}
+
 // --- World Generation ---
 
-function createBlock(x, y, z, colorTop, colorSide) {
-    // Instead of a simple box, create a group with details
-    const group = new THREE.Group();
-    group.position.set(x, y, z);
+// --- Mesh Pools ---
+// Items are recycled instead of rebuilt: a mesh comes from the pool for its key, goes back on
+// removal, and meshes of one kind share their geometries and materials.
 
-    // 1. Main Block
-    const geometry = new THREE.BoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE);
-    // Face order: +X (right), -X (left), +Y (top), -Y (bottom), +Z (front), -Z (back)
-    // In our isometric view: Left visible side = -X, Right visible side = +Z
-    const materials = [
-        new THREE.MeshStandardMaterial({ color: colorSide, emissive: colorSide, emissiveIntensity: 0.2 }), // +X Right (hidden)
-        new THREE.MeshStandardMaterial({ color: COLOR_GROUND_FRONT, emissive: COLOR_GROUND_FRONT, emissiveIntensity: 0.2 }), // -X Left (Visible Left - BRIGHTER)
-        new THREE.MeshStandardMaterial({ color: colorTop, emissive: colorTop, emissiveIntensity: 0.2 }),   // +Y Top
-        new THREE.MeshStandardMaterial({ color: colorSide, emissive: colorSide, emissiveIntensity: 0.2 }), // -Y Bottom
-        new THREE.MeshStandardMaterial({ color: colorSide, emissive: colorSide, emissiveIntensity: 0.2 }), // +Z Front (Visible Right - DARKER)
-        new THREE.MeshStandardMaterial({ color: colorSide, emissive: colorSide, emissiveIntensity: 0.2 })  // -Z Back (hidden)
-    ];
-    const mesh = new THREE.Mesh(geometry, materials);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    group.add(mesh);
-
-    // 2. Inner Square Detail
-    // Create a slightly smaller square on top
-    const innerSize = BLOCK_SIZE * 0.6;
-    const innerGeo = new THREE.PlaneGeometry(innerSize, innerSize);
-    const innerMat = new THREE.MeshStandardMaterial({ 
-        color: 0xFFDEAD, // NavajoWhite (slightly darker than top)
-        side: THREE.DoubleSide 
-    });
-    const innerSquare = new THREE.Mesh(innerGeo, innerMat);
-    innerSquare.rotation.x = -Math.PI / 2;
-    innerSquare.position.y = BLOCK_SIZE / 2 + 0.01; // Slightly above
-    innerSquare.receiveShadow = true;
-    group.add(innerSquare);
-    
-    // 3. Even smaller center dot? (Optional, based on reference)
-    const dotSize = BLOCK_SIZE * 0.2;
-    const dotGeo = new THREE.PlaneGeometry(dotSize, dotSize);
-    const dotMat = new THREE.MeshStandardMaterial({ color: colorTop });
-    const dot = new THREE.Mesh(dotGeo, dotMat);
-    dot.rotation.x = -Math.PI / 2;
-    dot.position.y = BLOCK_SIZE / 2 + 0.02;
-    dot.receiveShadow = true;
-    group.add(dot);
-
-    // 4. Lower dirt layer on front face (-X, left visible side)
-    const frontDirtHeight = BLOCK_SIZE * 0.5; // Lower half
-    const frontDirtGeo = new THREE.PlaneGeometry(BLOCK_SIZE, frontDirtHeight);
-    const frontDirtMat = new THREE.MeshStandardMaterial({ 
-        color: COLOR_GROUND_DIRT,
-        emissive: COLOR_GROUND_DIRT,
-        emissiveIntensity: 0.15,
-        side: THREE.DoubleSide
-    });
-    const frontDirt = new THREE.Mesh(frontDirtGeo, frontDirtMat);
-    frontDirt.rotation.y = Math.PI / 2; // Face towards -X (left)
-    frontDirt.position.set(-BLOCK_SIZE / 2 - 0.01, -BLOCK_SIZE / 4, 0); // Lower half, slightly forward
-    frontDirt.receiveShadow = true;
-    group.add(frontDirt);
-
-    // 5. Lower dirt layer on side face (+Z, right visible side)
-    const sideDirtHeight = BLOCK_SIZE * 0.5; // Lower half
-    const sideDirtGeo = new THREE.PlaneGeometry(BLOCK_SIZE, sideDirtHeight);
-    const sideDirtMat = new THREE.MeshStandardMaterial({ 
-        color: COLOR_GROUND_DIRT,
-        emissive: COLOR_GROUND_DIRT,
-        emissiveIntensity: 0.15,
-        side: THREE.DoubleSide
-    });
-    const sideDirt = new THREE.Mesh(sideDirtGeo, sideDirtMat);
-    sideDirt.rotation.y = 0; // Face towards +Z (front/right)
-    sideDirt.position.set(0, -BLOCK_SIZE / 4, BLOCK_SIZE / 2 + 0.01); // Lower half, slightly forward
-    sideDirt.receiveShadow = true;
-    group.add(sideDirt);
-
-    // 6. Lower dirt layer on right face (+X, for decorative right blocks)
-    const rightDirt = new THREE.Mesh(frontDirtGeo.clone(), frontDirtMat.clone());
-    rightDirt.rotation.y = -Math.PI / 2; // Face towards +X (right)
-    rightDirt.position.set(BLOCK_SIZE / 2 + 0.01, -BLOCK_SIZE / 4, 0); // Lower half, slightly forward
-    rightDirt.receiveShadow = true;
-    group.add(rightDirt);
-
-    // 7. Lower dirt layer on back face (-Z, for completeness)
-    const backDirt = new THREE.Mesh(sideDirtGeo.clone(), sideDirtMat.clone());
-    backDirt.rotation.y = Math.PI; // Face towards -Z (back)
-    backDirt.position.set(0, -BLOCK_SIZE / 4, -BLOCK_SIZE / 2 - 0.01); // Lower half, slightly forward
-    backDirt.receiveShadow = true;
-    group.add(backDirt);
-
-    scene.add(group);
-    return group;
+// A pooled mesh for `key` (built by `create` when the pool is empty), added to the scene
+function acquireMesh(key, create) {
+    if (!pools.has(key)) pools.set(key, createPool(create));
+    const mesh = pools.get(key).acquire();
+    mesh.userData.poolKey = key;
+    scene.add(mesh);
+    return mesh;
 }
 
-function spawnGroundRow(z, instant = false) {
-    // Main lane
-    const x = 0;
-    const startY = instant ? 0 : -5; 
-    const block = createBlock(x, startY, z, COLOR_GROUND_TOP, COLOR_GROUND_SIDE);
-    groundBlocks.push({ 
-        mesh: block, 
-        originalY: 0, 
-        falling: false,
-        rising: !instant,
-        velocity: 0 
+function releaseMesh(mesh) {
+    scene.remove(mesh);
+    pools.get(mesh.userData.poolKey).release(mesh);
+}
+
+// The geometry or material for `key`, made by `create` the first time
+function shared(key, create) {
+    if (!sharedResources.has(key)) sharedResources.set(key, create());
+    return sharedResources.get(key);
+}
+
+// Ground is purely visual: the simulation only reports which rows exist, and in which biome
+function spawnGroundRow(z, look, instant = false, holes = []) {
+    // Playable lanes, leaving out pits
+    LANES.forEach(laneIndex => {
+        const hole = holes.find(h => h.lane === laneIndex);
+        if (hole && hole.kind === 'pit') return;
+
+        const x = laneIndex * LANE_WIDTH;
+        const startY = instant ? 0 : -5; 
+        groundBlocks.push({ 
+            tile: ground.addTile(hole ? 'cracked' : look, x, startY, z), 
+            lane: laneIndex,
+            originalY: 0, 
+            falling: false,
+            rising: !instant,
+            shaking: false,
+            velocity: 0 
+        });
     });
 
     // Decorative lanes
-    const decorativeLanes = [-1, 1]; 
+    const decorativeLanes = [-2, 2]; 
     decorativeLanes.forEach(laneIndex => {
-        const x = laneIndex * laneWidth;
+        const x = laneIndex * LANE_WIDTH;
         const targetY = -0.2;
         const startY = instant ? targetY : -5;
-        const block = createBlock(x, startY, z, COLOR_GROUND_TOP, COLOR_GROUND_SIDE);
         groundBlocks.push({ 
-            mesh: block, 
+            tile: ground.addTile(look, x, startY, z), 
+            lane: laneIndex,
             originalY: targetY, 
             falling: false,
             rising: !instant,
+            shaking: false,
             velocity: 0 
         });
-        
-        if (laneIndex === 1 && Math.random() < 0.6) {
-            spawnTree(x, 0.6, z, instant); // Lowered from 0.8 to 0.6 to sit on side block
-        }
     });
+}
+
+// A revive put ground back where a pit or a crumbling tile was
+function restoreTile(lane, z, look) {
+    const block = groundBlocks.find(b => b.lane === lane && b.tile.position.z === z && !b.falling);
+    if (block) {
+        block.shaking = false;
+        block.tile.position.x = lane * LANE_WIDTH;
+        return;
+    }
+    groundBlocks.push({
+        tile: ground.addTile(look, lane * LANE_WIDTH, 0, z),
+        lane,
+        originalY: 0,
+        falling: false,
+        rising: false,
+        shaking: false,
+        velocity: 0
+    });
+}
 
-    if (z > 5) { 
-        spawnItems(z, instant);
+// Crumbling tiles shake once stepped on, then drop like the blocks behind the player
+function setTileState(lane, z, state) {
+    const block = groundBlocks.find(b => b.lane === lane && b.tile.position.z === z);
+    if (!block) return;
+    block.shaking = state === 'shaking';
+    if (state === 'falling') {
+        block.tile.position.x = lane * LANE_WIDTH;
+        block.falling = true;
+        block.rising = false;
     }
 }
 
-function spawnTree(x, y, z, instant = false) {
-    const group = new THREE.Group();
+// Side-lane decoration meshes, by the `decoration` a biome names
+const DECORATION_MESHES = {
+    tree: createTree,
+    pine: createPine,
+    cactus: createCactus,
+    crystal: createCrystal
+};
+
+function spawnDecoration(kind, biomeId, x, y, z, instant = false) {
+    // Colors come from the biome, so each biome keeps its own pool
+    const group = acquireMesh(kind + ':' + biomeId, () => createDecoration(kind, getBiome(biomeId)));
     group.position.set(x, y, z);
+    group.scale.setScalar(instant ? 1 : 0.1);
+    decorations.push({ mesh: group, growing: !instant });
+}
 
-    // Tree Trunk
-    const trunkGeo = new THREE.BoxGeometry(0.3, 0.6, 0.3);
-    const trunkMat = new THREE.MeshStandardMaterial({ 
-        color: COLOR_TREE_TRUNK,
-        emissive: COLOR_TREE_TRUNK,
-        emissiveIntensity: 0.15
-    });
-    const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-    trunk.castShadow = true;
-    group.add(trunk);
-    
-    // Leaves
-    const leavesGeo = new THREE.BoxGeometry(0.7, 0.7, 0.7);
-    const leavesMat = new THREE.MeshStandardMaterial({ 
-        color: COLOR_TREE_LEAVES,
-        emissive: COLOR_TREE_LEAVES,
-        emissiveIntensity: 0.3
+// Group with its origin 0.3 above the ground top, like the original tree
+function createDecoration(kind, decorationBiome) {
+    const group = new THREE.Group();
+    DECORATION_MESHES[kind](decorationBiome).forEach(mesh => {
+        mesh.castShadow = true;
+        group.add(mesh);
     });
-    const leaves = new THREE.Mesh(leavesGeo, leavesMat);
-    leaves.position.y = 0.6;
-    leaves.castShadow = true;
-    group.add(leaves);
 
     // Square Shadow Base
     const shadowSize = 0.5;
-    const shadowGeo = new THREE.PlaneGeometry(shadowSize, shadowSize);
-    const shadowMat = new THREE.MeshBasicMaterial({ 
+    const shadowGeo = shared('treeShadowGeo', () => new THREE.PlaneGeometry(shadowSize, shadowSize));
+    const shadowMat = shared('treeShadowMat', () => new THREE.MeshBasicMaterial({ 
         color: COLOR_SHADOW,
         transparent: true,
         opacity: 0.5
-    });
+    }));
     const shadow = new THREE.Mesh(shadowGeo, shadowMat);
     shadow.rotation.x = -Math.PI / 2;
-    shadow.position.y = -0.3 + 0.02; // On top of the ground block (0.8 - 0.3 height - roughly)
-    // Actually, tree is at y=0.8 relative to scene. Ground top is 0.5 (block height/2).
+    // Tree is at y=0.8 relative to scene. Ground top is 0.5 (block height/2).
     // Tree group is at 0.8. Relative to group, y=0 is center of trunk (0.6h).
-    // Trunk bottom is at -0.3. 
-    // Ground top is at -0.3 relative to tree group center.
+    // Trunk bottom is at -0.3, so is the ground top relative to the tree group center.
     shadow.position.y = -0.3 + 0.02; 
     group.add(shadow);
+    return group;
+}
 
-    if (!instant) group.scale.set(0.1, 0.1, 0.1);
-    scene.add(group);
+// Main (index 0) or secondary (1) decoration color of a biome
+function decorationMaterial(decorationBiome, index, emissiveIntensity) {
+    const color = decorationBiome.decorationColors[index];
+    return shared('decorationMat:' + decorationBiome.id + ':' + index, () => new THREE.MeshStandardMaterial({ 
+        color,
+        emissive: color,
+        emissiveIntensity
+    }));
+}
+
+function createTree(treeBiome) {
+    // Tree Trunk
+    const trunkGeo = shared('trunkGeo', () => new THREE.BoxGeometry(0.3, 0.6, 0.3));
+    const trunk = new THREE.Mesh(trunkGeo, decorationMaterial(treeBiome, 1, 0.15));
     
-    obstacles.push({ mesh: group, isDecoration: true, growing: !instant });
+    // Leaves
+    const leavesGeo = shared('leavesGeo', () => new THREE.BoxGeometry(0.7, 0.7, 0.7));
+    const leaves = new THREE.Mesh(leavesGeo, decorationMaterial(treeBiome, 0, 0.3));
+    leaves.position.y = 0.6;
+    return [trunk, leaves];
 }
 
-function spawnItems(z, instant = false) {
-    if (z - lastObstacleZ < 6) {
-        if (Math.random() < 0.06) createCoin(0, z, false, instant);
-        return;
+function createPine(pineBiome) {
+    const trunkGeo = shared('pineTrunkGeo', () => new THREE.BoxGeometry(0.2, 0.4, 0.2));
+    const trunk = new THREE.Mesh(trunkGeo, decorationMaterial(pineBiome, 1, 0.15));
+    trunk.position.y = -0.1;
+
+    // Two stacked four-sided cones, the upper one smaller
+    const coneGeo = shared('pineConeGeo', () => new THREE.ConeGeometry(0.45, 0.7, 4));
+    const leafMat = decorationMaterial(pineBiome, 0, 0.3);
+    const lower = new THREE.Mesh(coneGeo, leafMat);
+    lower.position.y = 0.4;
+    const upper = new THREE.Mesh(coneGeo, leafMat);
+    upper.position.y = 0.8;
+    upper.scale.setScalar(0.7);
+    return [trunk, lower, upper];
+}
+
+function createCactus(cactusBiome) {
+    const bodyMat = decorationMaterial(cactusBiome, 0, 0.25);
+    const bodyGeo = shared('cactusBodyGeo', () => new THREE.BoxGeometry(0.3, 1.1, 0.3));
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+    body.position.y = 0.25;
+
+    // Arms on both sides, bent upwards at different heights
+    const armGeo = shared('cactusArmGeo', () => new THREE.BoxGeometry(0.18, 0.4, 0.18));
+    const left = new THREE.Mesh(armGeo, bodyMat);
+    left.position.set(-0.25, 0.35, 0);
+    const right = new THREE.Mesh(armGeo, bodyMat);
+    right.position.set(0.25, 0.15, 0);
+
+    // Flower on top
+    const flowerGeo = shared('cactusFlowerGeo', () => new THREE.BoxGeometry(0.16, 0.1, 0.16));
+    const flower = new THREE.Mesh(flowerGeo, decorationMaterial(cactusBiome, 1, 0.3));
+    flower.position.y = 0.85;
+    return [body, left, right, flower];
+}
+
+function createCrystal(crystalBiome) {
+    const crystalGeo = shared('crystalGeo', () => new THREE.OctahedronGeometry(0.35));
+    const big = new THREE.Mesh(crystalGeo, decorationMaterial(crystalBiome, 0, 0.6));
+    big.position.y = 0.25;
+    big.scale.set(0.8, 1.6, 0.8);
+
+    const small = new THREE.Mesh(crystalGeo, decorationMaterial(crystalBiome, 1, 0.6));
+    small.position.set(0.25, -0.1, 0.15);
+    small.scale.set(0.5, 0.9, 0.5);
+    return [big, small];
+}
+
+// Built-in meshes for obstacle types that set `mesh` instead of `sprite`
+const OBSTACLE_MESHES = {
+    spike: createSpike,
+    barrier: createBarrier
+};
+
+function createObstacle(obstacle, instant = false) {
+    const type = getObstacleType(obstacle.kind);
+    let mesh;
+    if (type.sprite) {
+        const texture = getObstacleTexture(type.sprite);
+        mesh = texture
+            ? acquireMesh('sprite:' + type.sprite, () => createSpriteObstacle(type.sprite, texture))
+            : acquireMesh('fallback:' + type.id, () => createFallbackObstacle(type));
+    } else {
+        mesh = acquireMesh('mesh:' + type.mesh, OBSTACLE_MESHES[type.mesh]);
     }
+    mesh.position.set(obstacle.x, obstacle.y, obstacle.z);
+    const targetScale = new THREE.Vector3().fromArray(type.scale);
+    mesh.scale.copy(instant ? targetScale : new THREE.Vector3(0.1, 0.1, 0.1));
+    obstacles.push({ id: obstacle.id, mesh, growing: !instant, targetScale });
+}
 
-    if (Math.random() < 0.3) { 
-        // Randomly choose obstacle type
-        const obstacleType = Math.random();
-        let isUfo = false;
-        if (obstacleType < 0.10) {
-            // UFO - 10% chance (air obstacle, must not jump)
-            createUfo(0, z, instant);
-            isUfo = true;
-        } else if (obstacleType < 0.20) {
-            // Cactus - 10% chance (less frequent)
-            createCactus(0, z, instant);
-        } else if (obstacleType < 0.50) {
-            // Wood - 30% chance
-            createWood(0, z, instant);
-        } else {
-            // Spike - 50% chance (most common)
-            createObstacle(0, z, instant);
-        }
-        lastObstacleZ = z;
-        
-        if (Math.random() < 0.4) {
-            // UFO: coin at bottom (player must stay low), others: coin in air (player must jump)
-            createCoin(0, z, !isUfo, instant); 
-        }
-    } else if (Math.random() < 0.08) {
-        createCoin(0, z, false, instant);
+// Texture for a sprite path, or null if it failed to load. Types registered after the
+// preload load theirs on first use.
+function getObstacleTexture(path) {
+    if (!obstacleTextures.has(path)) {
+        const texture = textureLoader.load(path, undefined, undefined, () => {
+            console.log('Could not load sprite ' + path + ', using a box from now on');
+            obstacleTextures.set(path, null);
+        });
+        texture.colorSpace = THREE.SRGBColorSpace; // Preserve original colors
+        obstacleTextures.set(path, texture);
     }
+    return obstacleTextures.get(path);
+}
+
+// Preloader decoder for images
+function decodeTexture(blob) {
+    const url = URL.createObjectURL(blob);
+    return new Promise((resolve, reject) => {
+        textureLoader.load(url, resolve, undefined, () => reject(new Error('Not a valid image')));
+    }).then(texture => {
+        texture.colorSpace = THREE.SRGBColorSpace; // Preserve original colors
+        return texture;
+    }).finally(() => URL.revokeObjectURL(url));
+}
+
+// Critical assets are in, hand them to the game
+function applyLoadedAssets() {
+    getObstacleTypes().forEach(type => {
+        if (type.sprite) obstacleTextures.set(type.sprite, preloader.get(type.sprite));
+    });
+
+    if (preloader.get(SOUND_JUMP)) sound.add('jump', preloader.get(SOUND_JUMP), 0.5);
+    if (preloader.get(SOUND_COLLECT)) sound.add('collect', preloader.get(SOUND_COLLECT), 0.5);
+
+    // Music is too big to wait for, the engine starts it once it arrives if it's wanted by then
+    setBiomeMusic();
+
+    const music = getBiomeMusic();
+    const failed = preloader.getFailed().filter(url => !music.includes(url));
+    loadWarningEl.style.display = failed.length ? 'block' : 'none';
 }
 
-function createObstacle(lane, z, instant = false) {
+function showLoadingProgress(fraction) {
+    const percent = Math.floor(fraction * 100);
+    loadingBar.style.width = percent + '%';
+    loadingPercentEl.innerText = percent + '%';
+}
+
+// Obstacle meshes (hitboxes and sizes live in obstacles.js)
+function createSpike() {
     // Spike obstacle
-    const geometry = new THREE.ConeGeometry(0.4, 0.6, 4); 
-    const material = new THREE.MeshStandardMaterial({ color: COLOR_OBSTACLE, flatShading: true });
+    const geometry = shared('spikeGeo', () => new THREE.ConeGeometry(0.4, 0.6, 4)); 
+    const material = shared('obstacleMat', () => new THREE.MeshStandardMaterial({ color: COLOR_OBSTACLE, flatShading: true }));
     const obs = new THREE.Mesh(geometry, material);
-    obs.position.set(lane * laneWidth, 0.8, z); 
     obs.rotation.y = Math.PI / 4; 
     obs.castShadow = true;
-    if (!instant) obs.scale.set(0.1, 0.1, 0.1);
-    scene.add(obs);
-    // Collision box size: width 0.6, height 0.6, depth 0.6
-    obstacles.push({ mesh: obs, hit: false, isDecoration: false, growing: !instant, collisionSize: new THREE.Vector3(0.6, 0.6, 0.6) });
+    return obs;
 }
 
-function createCactus(lane, z, instant = false) {
-    // Cactus obstacle - sprite style (image already designed in 3D perspective)
-    const spriteMaterial = new THREE.SpriteMaterial({ 
-        map: cactusTexture,
+function createSpriteObstacle(path, texture) {
+    // Sprite style (images already designed in 3D perspective)
+    const spriteMaterial = shared('sprite:' + path, () => new THREE.SpriteMaterial({ 
+        map: texture,
         transparent: true
-    });
-    const obs = new THREE.Sprite(spriteMaterial);
-    obs.position.set(lane * laneWidth, 1.0, z);
-    obs.scale.set(1.0, 1.2, 1.0); // Adjust size
-    if (!instant) obs.scale.set(0.1, 0.1, 0.1);
-    scene.add(obs);
-    // Collision box size: width 0.6, height 0.8, depth 0.6 (similar to spike)
-    obstacles.push({ mesh: obs, hit: false, isDecoration: false, growing: !instant, targetScale: new THREE.Vector3(1.0, 1.2, 1.0), collisionSize: new THREE.Vector3(0.6, 0.8, 0.6) });
+    }));
+    return new THREE.Sprite(spriteMaterial);
 }
 
-function createWood(lane, z, instant = false) {
-    // Wood obstacle - sprite style
-    const spriteMaterial = new THREE.SpriteMaterial({ 
-        map: woodTexture,
-        transparent: true
+// Stand-in for a sprite whose image failed to load: a block filling the hitbox
+function createFallbackObstacle(type) {
+    const [width, height, depth] = type.hitbox;
+    const [scaleX, scaleY, scaleZ] = type.scale; // The mesh gets scaled by these afterwards
+    const geometry = shared('fallbackGeo:' + type.id, () => new THREE.BoxGeometry(width / scaleX, height / scaleY, depth / scaleZ));
+    const material = shared('obstacleMat', () => new THREE.MeshStandardMaterial({ color: COLOR_OBSTACLE, flatShading: true }));
+    const obs = new THREE.Mesh(geometry, material);
+    obs.castShadow = true;
+    return obs;
+}
+
+function createBarrier() {
+    // Laser gate - glowing beam at head height with a force field above it, slide under
+    const group = new THREE.Group();
+    const laserMaterial = shared('laserMat', () => new THREE.MeshStandardMaterial({ 
+        color: COLOR_LASER, 
+        emissive: COLOR_LASER, 
+        emissiveIntensity: 0.8 
+    }));
+
+    // Group origin is the hitbox center (y=2.425), the beam sits on its bottom edge (y=0.95)
+    const beam = new THREE.Mesh(shared('beamGeo', () => new THREE.BoxGeometry(0.9, 0.15, 0.15)), laserMaterial);
+    beam.position.y = -1.4;
+    beam.castShadow = true;
+    group.add(beam);
+
+    const field = new THREE.Mesh(
+        shared('fieldGeo', () => new THREE.BoxGeometry(0.9, 2.8, 0.05)),
+        shared('fieldMat', () => new THREE.MeshBasicMaterial({ color: COLOR_LASER, transparent: true, opacity: 0.25, depthWrite: false }))
+    );
+    field.position.y = 0.05;
+    group.add(field);
+
+    // Posts from the ground (y=0.5) to the top of the field
+    const postMaterial = shared('obstacleMat', () => new THREE.MeshStandardMaterial({ color: COLOR_OBSTACLE, flatShading: true }));
+    const postGeometry = shared('postGeo', () => new THREE.BoxGeometry(0.08, 3.4, 0.08));
+    [-0.5, 0.5].forEach(x => {
+        const post = new THREE.Mesh(postGeometry, postMaterial);
+        post.position.set(x, -0.225, 0);
+        post.castShadow = true;
+        group.add(post);
     });
-    const obs = new THREE.Sprite(spriteMaterial);
-    obs.position.set(lane * laneWidth, 0.8, z);
-    obs.scale.set(1.0, 0.8, 1.0); // Adjust size
-    if (!instant) obs.scale.set(0.1, 0.1, 0.1);
-    scene.add(obs);
-    // Collision box size: width 0.7, height 0.5, depth 0.6 (wider like a log)
-    obstacles.push({ mesh: obs, hit: false, isDecoration: false, growing: !instant, targetScale: new THREE.Vector3(1.0, 0.8, 1.0), collisionSize: new THREE.Vector3(0.7, 0.5, 0.6) });
+    return group;
 }
 
-function createUfo(lane, z, instant = false) {
-    // UFO obstacle - floating in the air, player must NOT jump (go under it)
-    const spriteMaterial = new THREE.SpriteMaterial({ 
-        map: ufoTexture,
-        transparent: true
+function createCoin(coinData, instant = false) {
+    const coin = acquireMesh('coin', () => {
+        const geometry = shared('coinGeo', () => new THREE.BoxGeometry(0.3, 0.3, 0.05));
+        const material = shared('coinMat', () => new THREE.MeshStandardMaterial({ 
+            color: COLOR_COIN,
+            emissive: COLOR_COIN,
+            emissiveIntensity: 0.4
+        }));
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.rotation.z = Math.PI / 4;
+        return mesh;
     });
-    const obs = new THREE.Sprite(spriteMaterial);
-    obs.position.set(lane * laneWidth, 2.2, z); // High position - player passes underneath
-    obs.scale.set(1.2, 0.8, 1.0); // UFO shape (wider)
-    if (!instant) obs.scale.set(0.1, 0.1, 0.1);
-    scene.add(obs);
-    // Collision box: positioned high so jumping into it causes collision
-    // Player height ~0.5, jump height ~2.0, so UFO at 2.2 with height 0.8 will catch jumping players
-    obstacles.push({ mesh: obs, hit: false, isDecoration: false, growing: !instant, targetScale: new THREE.Vector3(1.2, 0.8, 1.0), collisionSize: new THREE.Vector3(0.8, 0.6, 0.6) });
-}
-
-function createCoin(lane, z, high = false, instant = false) {
-    const geometry = new THREE.BoxGeometry(0.3, 0.3, 0.05);
-    const material = new THREE.MeshStandardMaterial({ 
-        color: COLOR_COIN,
-        emissive: COLOR_COIN,
-        emissiveIntensity: 0.4
-    });
-    const coin = new THREE.Mesh(geometry, material);
-    coin.rotation.z = Math.PI / 4;
     
-    const yPos = high ? 2.5 : 1.0; 
-    coin.position.set(lane * laneWidth, yPos, z);
-    if (!instant) coin.scale.set(0.1, 0.1, 0.1);
-    scene.add(coin);
-    coins.push({ mesh: coin, active: true, growing: !instant });
+    coin.position.set(coinData.x, coinData.y, coinData.z);
+    coin.scale.setScalar(instant ? 1 : 0.1);
+    coins.push({ id: coinData.id, data: coinData, mesh: coin, growing: !instant });
+}
+
+function createPowerUp(powerUpData, instant = false) {
+    const mesh = acquireMesh('powerUp:' + powerUpData.kind, () => {
+        const color = getPowerUp(powerUpData.kind).color;
+        const geometry = shared('powerUpGeo', () => new THREE.OctahedronGeometry(0.3));
+        const material = shared('powerUpMat:' + powerUpData.kind, () => new THREE.MeshStandardMaterial({ 
+            color,
+            emissive: color,
+            emissiveIntensity: 0.6
+        }));
+        const pickup = new THREE.Mesh(geometry, material);
+        pickup.castShadow = true;
+        return pickup;
+    });
+    mesh.position.set(powerUpData.x, powerUpData.y, powerUpData.z);
+    mesh.scale.setScalar(instant ? 1 : 0.1);
+    powerUpPickups.push({ id: powerUpData.id, mesh, growing: !instant });
 }
 
 // --- Game Logic ---
+// One frame of a live run or replay
 function update(dt) {
-    if (!gameActive) return;
+    // Fixed-step rules, whatever the display refresh rate
+    accumulator += dt;
+    while (accumulator >= FIXED_DT && sim.alive) {
+        previousPlayerPosition.set(sim.player.x, sim.player.y, sim.player.z);
+        if (playback) playback.applyDue(sim);
+        sim.step(FIXED_DT);
+        accumulator -= FIXED_DT;
+    }
+    handleSimEvents();
+    if (!playback) trackMissions({ type: 'progress', speed: sim.speed, distance: sim.player.z });
 
-    player.update(dt);
-    
-    // Accelerate
-    if (speed < maxSpeed) {
-        speed += acceleration * dt;
+    const squashTarget = sim.player.slideTime > 0 ? SLIDE_SQUASH : 1;
+    playerSquash += (squashTarget - playerSquash) * Math.min(1, 20 * dt);
+    syncPlayer(accumulator / FIXED_DT);
+
+    updateGround(dt);
+    updateItems(dt);
+    updateTrail(dt);
+    updateEffects(dt);
+    updateBiome(dt);
+    updatePowerUpHud();
+
+    // Distance scores every step
+    scoreEl.innerText = sim.score;
+    if (scoreBonusTime > 0) {
+        scoreBonusTime -= dt;
+        if (scoreBonusTime <= 0) scoreBonusEl.innerText = '';
     }
+}
 
-    const playerZ = player.position.z;
-    
-    // 1. Spawn new rows - Reduced lookahead for "building near" effect
-    const lastBlock = groundBlocks[groundBlocks.length - 1];
-    if (lastBlock && lastBlock.mesh.position.z < playerZ + 15) { 
-        spawnGroundRow(lastBlock.mesh.position.z + BLOCK_SIZE);
+// --- Effects ---
+// Particles, popups, camera shake and the crash all stay off with reduced motion
+
+function updateEffects(dt) {
+    particles.update(dt);
+    updatePopups(dt);
+}
+
+function clearEffects() {
+    particles.clear();
+    popups.forEach(popup => releasePopup(popup.el));
+    popups = [];
+    debris = [];
+    shakeTime = 0;
+    hitStopTime = 0;
+}
+
+// Dust in the biome's ground color around the player's feet
+function kickUpDust() {
+    if (reducedMotion()) return;
+    const feet = new THREE.Vector3(sim.player.x, sim.player.y - 0.3, sim.player.z);
+    particles.burst(feet, { count: 6, color: biome.groundSide, size: 0.1, speed: 1.5, flat: true, upward: 0.8, gravity: 4, life: 0.35 });
+}
+
+// Scatters the player's meshes from where they are, with a burst in the skin's colors
+function breakPlayer() {
+    playerBroken = true;
+    debris = player.children.map(mesh => ({
+        mesh,
+        velocity: new THREE.Vector3((Math.random() - 0.5) * 6, 4 + Math.random() * 4, (Math.random() - 0.5) * 6),
+        spin: new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).multiplyScalar(20)
+    }));
+    particles.burst(player.position, { count: 24, color: skin.trail, speed: 5, upward: 2, life: 0.8 });
+    particles.burst(player.position, { count: 12, color: getPartColor(skin, skin.parts[0]), size: 0.16, speed: 4, upward: 2, life: 0.8 });
+}
+
+function updateDebris(dt) {
+    debris.forEach(piece => {
+        piece.velocity.y -= 25 * dt;
+        piece.mesh.position.addScaledVector(piece.velocity, dt);
+        piece.mesh.rotation.x += piece.spin.x * dt;
+        piece.mesh.rotation.y += piece.spin.y * dt;
+        piece.mesh.rotation.z += piece.spin.z * dt;
+    });
+}
+
+function shakeCamera(strength) {
+    if (reducedMotion()) return;
+    shakeTime = SHAKE_DURATION;
+    shakeStrength = strength;
+}
+
+// Random offset fading out with the shake, zero once it's over
+function updateCameraShake(dt) {
+    shakeTime = Math.max(0, shakeTime - dt);
+    const amount = shakeStrength * shakeTime / SHAKE_DURATION;
+    shakeOffset.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).multiplyScalar(amount * 2);
+}
+
+// Floating text that rises from a point in the world and fades
+function showPopup(text, position) {
+    if (reducedMotion()) return;
+    const el = popupPool.acquire();
+    el.textContent = text;
+    el.style.display = 'block';
+    popups.push({ el, position: position.clone(), age: 0 });
+}
+
+function updatePopups(dt) {
+    const projected = new THREE.Vector3();
+    for (let i = popups.length - 1; i >= 0; i--) {
+        const popup = popups[i];
+        popup.age += dt;
+        if (popup.age >= POPUP_LIFETIME) {
+            releasePopup(popup.el);
+            popups.splice(i, 1);
+            continue;
+        }
+        popup.position.y += POPUP_RISE * dt;
+        projected.copy(popup.position).project(camera);
+        popup.el.style.left = (projected.x + 1) / 2 * window.innerWidth + 'px';
+        popup.el.style.top = (1 - projected.y) / 2 * window.innerHeight + 'px';
+        popup.el.style.opacity = 1 - popup.age / POPUP_LIFETIME;
     }
+}
+
+function createPopup() {
+    const el = document.createElement('div');
+    el.className = 'score-popup';
+    popupsEl.appendChild(el);
+    return el;
+}
+
+function releasePopup(el) {
+    el.style.display = 'none';
+    popupPool.release(el);
+}
+
+// Puffs in the skin's trail color left behind while airborne, shrinking and fading out
+function updateTrail(dt) {
+    trailTime += dt;
+    if (sim.player.isJumping && !reducedMotion() && trailTime >= TRAIL_INTERVAL) {
+        trailTime = 0;
+        const mesh = acquireMesh('trail', createTrailPuff);
+        mesh.material.color.set(skin.trail);
+        mesh.position.copy(player.position);
+        trail.push({ mesh, age: 0 });
+    }
+
+    for (let i = trail.length - 1; i >= 0; i--) {
+        const puff = trail[i];
+        puff.age += dt;
+        const left = 1 - puff.age / TRAIL_LIFETIME;
+        if (left <= 0) {
+            releaseMesh(puff.mesh);
+            trail.splice(i, 1);
+            continue;
+        }
+        puff.mesh.scale.setScalar(left);
+        puff.mesh.material.opacity = 0.6 * left;
+    }
+}
+
+function createTrailPuff() {
+    // Own material, every puff fades on its own
+    const geometry = shared('trailGeo', () => new THREE.BoxGeometry(0.25, 0.25, 0.25));
+    return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ transparent: true, depthWrite: false }));
+}
+
+// Switches the scene to a biome: sky and light ease over in updateBiome(), or jump straight
+// there with `snap` at the start of a run
+function enterBiome(id, snap = false) {
+    biome = getBiome(id);
+    setBiomeMusic();
+    if (!snap) return;
+    scene.background.set(biome.sky);
+    dirLight.color.set(biome.light);
+    dirLight.intensity = biome.lightIntensity;
+    ambientLight.intensity = biome.ambientIntensity;
+}
+
+function updateBiome(dt) {
+    const t = 1 - Math.exp(-BIOME_BLEND_RATE * dt);
+    scene.background.lerp(blendColor.set(biome.sky), t);
+    dirLight.color.lerp(blendColor.set(biome.light), t);
+    dirLight.intensity += (biome.lightIntensity - dirLight.intensity) * t;
+    ambientLight.intensity += (biome.ambientIntensity - ambientLight.intensity) * t;
+}
+
+// Hands the engine the current biome's track once it has downloaded
+function setBiomeMusic() {
+    if (!preloader) return;
+    const wanted = biome;
+    preloader.ready(wanted.music).then(music => {
+        if (music && biome === wanted) sound.setMusic(music, 0.3);
+    });
+}
+
+function getBiomeMusic() {
+    return [...new Set(getBiomes().map(b => b.music))];
+}
+
+function showScoreBonus(text) {
+    scoreBonusEl.innerText = text;
+    scoreBonusTime = SCORE_BONUS_DURATION;
+}
+
+function updateGround(dt) {
+    const playerZ = sim.player.z;
     
-    // 2. Manage Ground Blocks (Rise & Fall)
+    // Manage Ground Blocks (Rise & Fall)
     for (let i = groundBlocks.length - 1; i >= 0; i--) {
         const b = groundBlocks[i];
         
         // Rising (Building Effect)
         if (b.rising) {
             // Faster rise
-            b.mesh.position.y += (b.originalY - b.mesh.position.y) * 10 * dt;
-            if (Math.abs(b.mesh.position.y - b.originalY) < 0.05) {
-                b.mesh.position.y = b.originalY;
+            b.tile.position.y += (b.originalY - b.tile.position.y) * 10 * dt;
+            if (Math.abs(b.tile.position.y - b.originalY) < 0.05) {
+                b.tile.position.y = b.originalY;
                 b.rising = false;
             }
         }
 
+        if (b.shaking) {
+            b.tile.position.x = b.lane * LANE_WIDTH + (Math.random() - 0.5) * 0.1;
+        }
+
         // Check Falling
-        if (b.mesh.position.z < playerZ - 3) {
+        if (b.tile.position.z < playerZ - 3) {
             b.falling = true;
             b.rising = false;
         }
         
         if (b.falling) {
             b.velocity += 20 * dt; 
-            b.mesh.position.y -= b.velocity * dt;
+            b.tile.position.y -= b.velocity * dt;
             
-            if (b.mesh.position.y < -10) {
-                scene.remove(b.mesh);
+            if (b.tile.position.y < -10) {
+                ground.removeTile(b.tile);
                 groundBlocks.splice(i, 1);
             }
         }
     }
-
-    checkCollisions(dt);
-    
-    // Rotate items
-    coins.forEach(c => c.mesh.rotation.y += 2 * dt);
+    ground.update();
 }
 
-function checkCollisions(dt) {
-    const playerBox = new THREE.Box3().setFromObject(player);
-    playerBox.expandByScalar(-0.1);
-
-    // Obstacles
-    for (let i = obstacles.length - 1; i >= 0; i--) {
-        const obs = obstacles[i];
-        
-        // Pop-in animation
-        if (obs.growing) {
-            const targetScale = obs.targetScale || new THREE.Vector3(1, 1, 1);
-            const s = obs.mesh.scale.x + 5 * dt;
-            if (s >= targetScale.x) {
-                obs.mesh.scale.copy(targetScale);
-                obs.growing = false;
-            } else {
-                const ratio = s / targetScale.x;
-                obs.mesh.scale.set(targetScale.x * ratio, targetScale.y * ratio, targetScale.z * ratio);
-            }
+function updateItems(dt) {
+    // Pop-in animation
+    obstacles.forEach(obs => {
+        if (!obs.growing) return;
+        const targetScale = obs.targetScale;
+        const s = obs.mesh.scale.x + 5 * dt;
+        if (s >= targetScale.x) {
+            obs.mesh.scale.copy(targetScale);
+            obs.growing = false;
+        } else {
+            const ratio = s / targetScale.x;
+            obs.mesh.scale.set(targetScale.x * ratio, targetScale.y * ratio, targetScale.z * ratio);
         }
+    });
 
-        if (obs.mesh.position.z < player.position.z - 5) {
-            scene.remove(obs.mesh);
-            obstacles.splice(i, 1);
+    for (let i = decorations.length - 1; i >= 0; i--) {
+        const d = decorations[i];
+        if (d.mesh.position.z < sim.player.z - 5) {
+            releaseMesh(d.mesh);
+            decorations.splice(i, 1);
             continue;
         }
-
-        if (obs.isDecoration) continue; 
-        
-        // Use custom collision size for consistent hitbox
-        const pos = obs.mesh.position;
-        const size = obs.collisionSize || new THREE.Vector3(0.6, 0.6, 0.6);
-        const obsBox = new THREE.Box3(
-            new THREE.Vector3(pos.x - size.x / 2, pos.y - size.y / 2, pos.z - size.z / 2),
-            new THREE.Vector3(pos.x + size.x / 2, pos.y + size.y / 2, pos.z + size.z / 2)
-        );
-        
-        if (playerBox.intersectsBox(obsBox)) {
-            gameOver();
+        if (d.growing) {
+            const s = d.mesh.scale.x + 5 * dt;
+            d.growing = s < 1;
+            d.mesh.scale.setScalar(Math.min(s, 1));
         }
     }
 
-    // Coins
-    for (let i = coins.length - 1; i >= 0; i--) {
-        const coin = coins[i];
-        
-        // Pop-in animation
+    coins.forEach(coin => {
         if (coin.growing) {
             const s = coin.mesh.scale.x + 5 * dt;
             if (s >= 1) {
@@ -804,35 +1429,274 @@ function checkCollisions(dt) {
             }
         }
 
-        if (coin.mesh.position.z < player.position.z - 5) {
-            scene.remove(coin.mesh);
-            coins.splice(i, 1);
-            continue;
+        // Magnet pulls coins out of their spot
+        if (coin.data.magnetized) {
+            coin.mesh.position.set(coin.data.x, coin.data.y, coin.data.z);
         }
-        
-        if (coin.active && coin.mesh.position.distanceTo(player.position) < 1.5) {
-            collectCoin(coin);
-            coins.splice(i, 1);
+
+        // Rotate items
+        coin.mesh.rotation.y += 2 * dt;
+    });
+
+    powerUpPickups.forEach(item => {
+        if (item.growing) {
+            const s = item.mesh.scale.x + 5 * dt;
+            item.growing = s < 1;
+            item.mesh.scale.setScalar(Math.min(s, 1));
+        }
+        item.mesh.rotation.y += 3 * dt;
+    });
+}
+
+// One timer bar per running power-up
+function updatePowerUpHud() {
+    powerUpTimerEls.forEach((el, id) => {
+        if (sim.activePowerUps.some(effect => effect.id === id)) return;
+        el.remove();
+        powerUpTimerEls.delete(id);
+    });
+
+    sim.activePowerUps.forEach(effect => {
+        let el = powerUpTimerEls.get(effect.id);
+        if (!el) {
+            const powerUp = getPowerUp(effect.id);
+            el = document.createElement('div');
+            el.className = 'power-up-timer';
+            el.style.color = '#' + powerUp.color.toString(16).padStart(6, '0');
+            el.innerHTML = '<span class="power-up-label"></span> <span class="power-up-time"></span>' +
+                '<div class="power-up-bar"><div class="power-up-fill"></div></div>';
+            el.querySelector('.power-up-label').textContent = powerUp.label;
+            powerUpTimersEl.appendChild(el);
+            powerUpTimerEls.set(effect.id, el);
         }
+        el.querySelector('.power-up-time').textContent = effect.remaining.toFixed(1);
+        el.querySelector('.power-up-fill').style.width = (effect.remaining / effect.duration * 100) + '%';
+    });
+}
+
+function collectCoin(coinData, points) {
+    removeItem(coins, coinData.id);
+    const position = new THREE.Vector3(coinData.x, coinData.y, coinData.z);
+    if (!reducedMotion()) {
+        particles.burst(position, { count: 10, color: COLOR_SPARKLE, size: 0.1, speed: 2.5, upward: 1, gravity: 2, life: 0.4 });
     }
+    showPopup('+' + points, position);
+    scoreEl.innerText = sim.score;
+    playCoinSound(sim.scoring.streak);
 }
 
-function collectCoin(coinObj) {
-    scene.remove(coinObj.mesh);
-    score += 1;
-    scoreEl.innerText = score;
-    
-    // Play collect sound
-    if (collectSound) {
-        collectSound.currentTime = 0;
-        collectSound.play().catch(e => console.log("Audio play failed:", e));
+// Each coin in a streak climbs the scale, with a little wobble so repeats don't sound canned
+function playCoinSound(streak) {
+    const step = Math.min(Math.max(streak, 1), COIN_PITCH_STEPS) - 1;
+    const wobble = 1 + (Math.random() - 0.5) * 0.04;
+    sound.play('collect', { rate: Math.pow(2, step * 2 / 12) * wobble });
+}
+
+// Results are saved and announced as soon as the run ends, the panel follows after dying
+function finishRun(event) {
+    finalScoreEl.innerText = sim.score;
+    finalSeedEl.innerText = currentSeed;
+    showScoreBreakdown(sim.scoring.getBreakdown(), sim.revives);
+    deathReasonEl.innerText = event.reason === 'fall' ? 'FELL INTO A PIT' : 'HIT A ' + event.obstacle.kind.toUpperCase();
+
+    if (playback) {
+        const claimed = playback.log.result;
+        if (!claimed) {
+            replayStatusEl.innerText = 'REPLAY ENDED';
+        } else {
+            replayStatusEl.innerText = resultsMatch(claimed, getRunResult(sim)) ? 'REPLAY VERIFIED' : 'REPLAY MISMATCH';
+        }
+    } else {
+        recorder.finish(sim);
+        lastReplay = recorder.log;
+        replayStatusEl.innerText = '';
     }
+
+    // Only live runs count for stats and the leaderboard
+    newBestEl.style.display = 'none';
+    const breakdown = sim.scoring.getBreakdown();
+    if (!playback) {
+        const { newBest } = recordRun({
+            score: sim.score,
+            distance: breakdown.distance,
+            coins: breakdown.coins,
+            seed: currentSeed,
+            date: new Date().toISOString(),
+            revives: sim.revives
+        });
+        if (newBest) newBestEl.style.display = 'block';
+        updateBestDisplay();
+    }
+
+    bus.emit('gameOver', {
+        score: sim.score,
+        distance: breakdown.distance,
+        coins: breakdown.coins,
+        seed: currentSeed,
+        reason: event.reason,
+        revives: sim.revives
+    });
+}
+
+function showScoreBreakdown(breakdown, revives) {
+    const rows = [
+        ['DISTANCE', breakdown.distance + 'm', breakdown.distancePoints],
+        ['COINS', breakdown.coins, breakdown.coinPoints],
+        ['NEAR MISSES', breakdown.nearMisses, breakdown.nearMissPoints],
+        ['BEST STREAK', breakdown.bestStreak, '']
+    ];
+    if (revives > 0) rows.push(['REVIVES', revives, '']);
+    scoreBreakdownEl.innerHTML = '';
+    rows.forEach(([label, count, points]) => {
+        const row = document.createElement('tr');
+        [label, count, points].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        scoreBreakdownEl.appendChild(row);
+    });
 }
 
-function gameOver() {
-    gameActive = false;
-    finalScoreEl.innerText = score;
-    gameOverEl.style.display = 'block';
+function updateBestDisplay() {
+    bestScoreEl.innerText = 'BEST: ' + getSave().stats.bestScore;
+}
+
+function showLeaderboard() {
+    const save = getSave();
+    leaderboardListEl.innerHTML = '';
+    if (save.leaderboard.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 4;
+        cell.textContent = 'NO RUNS YET';
+        row.appendChild(cell);
+        leaderboardListEl.appendChild(row);
+    }
+    save.leaderboard.forEach((run, index) => {
+        const row = document.createElement('tr');
+        [index + 1 + '.', run.score, new Date(run.date).toLocaleDateString(), run.seed].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        leaderboardListEl.appendChild(row);
+    });
+
+    const stats = save.stats;
+    leaderboardStatsEl.innerText = 'RUNS: ' + stats.runsPlayed + '  COINS: ' + stats.totalCoins +
+        '  LONGEST: ' + stats.longestDistance + 'm';
+    leaderboardEl.style.display = 'block';
+}
+
+// --- Missions ---
+function startMissions() {
+    missionTracker.rotateDaily(new Date().toISOString().slice(0, 10)); // UTC, like the daily seed
+    missionTracker.startRun();
+}
+
+// Counts an event, banking rewards and announcing whatever it completed
+function trackMissions(event) {
+    missionTracker.handle(event).forEach(mission => {
+        updateSave(data => {
+            data.coins += mission.reward;
+        });
+        const reward = mission.reward ? '  +' + mission.reward + ' 🪙' : '';
+        showToast((mission.daily ? '✔ MISSION: ' : '★ ACHIEVEMENT: ') + mission.label + reward);
+        bus.emit('missionCompleted', { id: mission.id, daily: mission.daily, reward: mission.reward });
+    });
+}
+
+function showMissions() {
+    missionTracker.rotateDaily(new Date().toISOString().slice(0, 10));
+    missionsListEl.innerHTML = '';
+    let daily = null;
+    missionTracker.getStatus().forEach(({ mission, value, completed }) => {
+        if (mission.daily !== daily) {
+            daily = mission.daily;
+            const heading = document.createElement('h3');
+            heading.textContent = daily ? 'TODAY' : 'ACHIEVEMENTS';
+            missionsListEl.appendChild(heading);
+        }
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+        if (completed) row.classList.add('mission-done');
+        const label = document.createElement('span');
+        label.textContent = mission.label;
+        const progress = document.createElement('span');
+        progress.textContent = completed ? '✔' : Math.floor(value) + '/' + mission.target;
+        if (mission.reward) progress.textContent += '  🪙' + mission.reward;
+        row.appendChild(label);
+        row.appendChild(progress);
+        missionsListEl.appendChild(row);
+    });
+    missionsEl.style.display = 'block';
+}
+
+function showToast(text) {
+    toastQueue.push(text);
+}
+
+// Shows queued toasts one after another, on every screen
+function updateToast(dt) {
+    if (toastTime > 0) {
+        toastTime -= dt;
+        if (toastTime > 0) return;
+        toastEl.style.display = 'none';
+    }
+    if (toastQueue.length === 0) return;
+    toastEl.textContent = toastQueue.shift();
+    toastEl.style.display = 'block';
+    toastTime = TOAST_DURATION;
+}
+
+// --- Skin Shop ---
+function showShop() {
+    updateShopPanel();
+    shopEl.style.display = 'block';
+}
+
+function updateShopPanel() {
+    const save = getSave();
+    shopCoinsEl.innerText = '🪙 ' + save.coins;
+    shopListEl.querySelectorAll('.shop-item-btn').forEach(button => {
+        const option = getSkin(button.dataset.skin);
+        const owned = save.skins.owned.includes(option.id);
+        if (option.id === skin.id) {
+            button.textContent = 'WEARING';
+        } else {
+            button.textContent = owned ? 'WEAR' : '🪙 ' + option.price;
+        }
+        button.disabled = option.id === skin.id || (!owned && save.coins < option.price);
+    });
+}
+
+// Wears a skin, unlocking it with banked coins first if needed
+function buySkin(id) {
+    const option = getSkin(id);
+    const save = getSave();
+    const owned = save.skins.owned.includes(id);
+    if (!owned && save.coins < option.price) return;
+    updateSave(data => {
+        if (!owned) {
+            data.coins -= option.price;
+            data.skins.owned.push(id);
+        }
+        data.skins.selected = id;
+    });
+    skin = option;
+    if (player) dressPlayer();
+    updateShopPanel();
+}
+
+function downloadReplay(log) {
+    const blob = new Blob([serializeReplay(log)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'jumpy-dash-' + log.seed + '.json';
+    link.click();
+    URL.revokeObjectURL(url);
 }
 
 function onWindowResize() {
@@ -848,31 +1712,490 @@ function onWindowResize() {
 
 function animate() {
     requestAnimationFrame(animate);
-    const dt = Math.min(clock.getDelta(), 0.1);
-    if (gameStarted) {
-        update(dt);
-    }
+    const dt = Math.min(clock.getDelta(), MAX_FRAME_TIME);
+    flow.update(dt);
+    // Shake only moves the camera for this frame, it keeps following the player underneath
+    updateCameraShake(dt);
+    camera.position.add(shakeOffset);
     renderer.render(scene, camera);
+    camera.position.sub(shakeOffset);
+    updateDebugOverlay(dt);
+    updateToast(dt);
+}
+
+// --- Debug Overlay ---
+// Renderer and memory numbers, refreshed twice a second while shown
+function updateDebugOverlay(dt) {
+    debugOverlayEl.style.display = debugVisible ? 'block' : 'none';
+    if (!debugVisible) return;
+    debugTime += dt;
+    debugFrames++;
+    if (debugTime < DEBUG_INTERVAL) return;
+
+    const info = renderer.info;
+    let made = 0;
+    let free = 0;
+    pools.forEach(pool => {
+        const stats = pool.getStats();
+        made += stats.created;
+        free += stats.free;
+    });
+    const lines = [
+        'FPS ' + Math.round(debugFrames / debugTime),
+        'DRAW CALLS ' + info.render.calls,
+        'TRIANGLES ' + info.render.triangles,
+        'GEOMETRIES ' + info.memory.geometries + ' TEXTURES ' + info.memory.textures,
+        'GROUND TILES ' + ground.getTileCount(),
+        'POOLED MESHES ' + (made - free) + ' USED ' + free + ' FREE',
+        'PARTICLES ' + particles.getStats().active + ' / ' + particles.getStats().created
+    ];
+    if (performance.memory) { // Chrome only
+        lines.push('JS HEAP ' + (performance.memory.usedJSHeapSize / 1048576).toFixed(1) + ' MB');
+    }
+    debugOverlayEl.textContent = lines.join('\n');
+    debugTime = 0;
+    debugFrames = 0;
+}
+
+// Click plus touchend, without the press also counting as a jump
+function bindButton(button, handler) {
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler(e);
+    });
+    button.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handler(e);
+    });
+}
+
+// --- Settings ---
+function getSettings() {
+    return getSave().settings;
+}
+
+function reducedMotion() {
+    return getSettings().reducedMotion;
+}
+
+// Saves one setting and applies it right away
+function changeSetting(name, value) {
+    updateSave(save => {
+        save.settings[name] = value;
+    });
+    applySetting(name);
+    updateSettingsPanel();
+}
+
+function applySettings() {
+    Object.keys(getSettings()).forEach(applySetting);
+    updateSettingsPanel();
+}
+
+function applySetting(name) {
+    const settings = getSettings();
+    switch (name) {
+        case 'musicEnabled':
+            // Both music buttons show the same setting
+            musicBtn.textContent = settings.musicEnabled ? '🎵 MUSIC: ON' : '🎵 MUSIC: OFF';
+            musicToggle.textContent = settings.musicEnabled ? '🎵 ON' : '🎵 OFF';
+            [musicBtn, musicToggle].forEach(button => button.classList.toggle('off', !settings.musicEnabled));
+            if (!settings.musicEnabled) {
+                sound.pauseMusic();
+            } else if (flow && !flow.is('boot')) {
+                sound.playMusic();
+            }
+            break;
+        case 'musicVolume':
+            sound.setVolume('music', settings.musicVolume);
+            break;
+        case 'sfxVolume':
+            sound.setVolume('sfx', settings.sfxVolume);
+            break;
+        case 'shadows':
+            applyShadows(settings.shadows);
+            break;
+        case 'antialias':
+            // Antialiasing is fixed when a WebGL context is made, so this takes a new renderer
+            if (settings.antialias !== rendererAntialias) createRenderer(settings.antialias);
+            break;
+        case 'difficulty':
+            difficultyBtn.textContent = '⚡ ' + getSelectedDifficulty().label;
+            break;
+    }
 }
 
-function updateMusicButton() {
-    if (musicEnabled) {
-        musicBtn.textContent = '🎵 MUSIC: ON';
-        musicBtn.classList.remove('off');
+function createRenderer(antialias) {
+    const previous = renderer;
+    renderer = new THREE.WebGLRenderer({ antialias });
+    rendererAntialias = antialias;
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    if (previous) {
+        previous.domElement.replaceWith(renderer.domElement);
+        previous.dispose();
+        applyShadows(getSettings().shadows);
     } else {
-        musicBtn.textContent = '🎵 MUSIC: OFF';
-        musicBtn.classList.add('off');
+        document.body.appendChild(renderer.domElement);
+    }
+
+    // Ensure canvas is touch-friendly
+    renderer.domElement.style.touchAction = 'none';
+    renderer.domElement.style.webkitTouchCallout = 'none';
+    renderer.domElement.style.webkitUserSelect = 'none';
+    renderer.domElement.style.userSelect = 'none';
+}
+
+// The 2048 shadow map is the heaviest thing on phones, low trades crispness for speed
+function applyShadows(quality) {
+    const enabled = quality !== 'off';
+    renderer.shadowMap.enabled = enabled;
+    renderer.shadowMap.type = quality === 'high' ? THREE.PCFSoftShadowMap : THREE.PCFShadowMap;
+    dirLight.castShadow = enabled;
+    if (enabled) dirLight.shadow.mapSize.set(SHADOW_MAP_SIZES[quality], SHADOW_MAP_SIZES[quality]);
+    if (dirLight.shadow.map) {
+        // Rebuilt at the new size on the next render
+        dirLight.shadow.map.dispose();
+        dirLight.shadow.map = null;
     }
+    // Materials compile shadows in or out, so they need rebuilding too, pooled ones included
+    scene.traverse(object => {
+        if (object.material) [].concat(object.material).forEach(material => {
+            material.needsUpdate = true;
+        });
+    });
+    sharedResources.forEach(resource => {
+        if (resource.isMaterial) resource.needsUpdate = true;
+    });
+}
+
+function vibrate(pattern) {
+    if (getSettings().haptics && navigator.vibrate) navigator.vibrate(pattern);
+}
+
+function showSettings() {
+    updateSettingsPanel();
+    settingsEl.style.display = 'block';
+}
+
+function closeSettings() {
+    rebindingAction = null;
+    settingsEl.style.display = 'none';
+}
+
+// Puts the saved values into the panel's inputs
+function updateSettingsPanel() {
+    const settings = getSettings();
+    settingsEl.querySelectorAll('[data-setting]').forEach(input => {
+        const value = settings[input.dataset.setting];
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else if (input.type === 'range') {
+            input.value = Math.round(value * 100);
+        } else {
+            input.value = value;
+        }
+    });
+    keyBindingsEl.querySelectorAll('.key-btn').forEach(button => {
+        const action = button.dataset.action;
+        button.textContent = action === rebindingAction ? 'PRESS A KEY' :
+            settings.keys[action].map(getKeyLabel).join(' ') || '-';
+    });
 }
 
-function updateMusicToggle() {
-    if (musicEnabled) {
-        musicToggle.textContent = '🎵 ON';
-        musicToggle.classList.remove('off');
+function readSettingInput(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'range') return input.value / 100;
+    return input.value;
+}
+
+// --- Game States ---
+// boot -> home -> playing | replay <-> paused -> countdown -> playing | replay
+//                 playing | replay -> dying -> gameOver -> playing | replay | home
+//                                     dying -> continue -> countdown | gameOver
+const GAME_STATES = {
+    // Loading screen until the save and the critical assets are in
+    boot: {
+        enter() {
+            Promise.all([loadSave(), preloader.load(showLoadingProgress)])
+                .then(() => {
+                    applySettings();
+                    applyLoadedAssets();
+                    updateBestDisplay();
+                    skin = getSelectedSkin(); // The player mesh is built from it on the first run
+                    missionTracker = createMissionTracker(getSave().missions);
+                })
+                .catch(e => {
+                    // Still playable on defaults, rather than stuck on the loading screen
+                    console.log('Could not apply the save or assets:', e);
+                    if (!skin) skin = getSkin(DEFAULT_SKIN);
+                    if (!missionTracker) missionTracker = createMissionTracker(createMissionRecord());
+                })
+                .then(() => {
+                    if (flow.is('boot')) flow.go('home');
+                    bus.emit('ready', { version: EMBED_VERSION });
+                });
+        }
+    },
+    home: {
+        enter() {
+            sound.stopMusic();
+            clearEffects();
+        },
+        exit() {
+            leaderboardEl.style.display = 'none';
+            shopEl.style.display = 'none';
+            missionsEl.style.display = 'none';
+            closeSettings();
+        }
+    },
+    playing: {
+        enter: enterRun,
+        update
+    },
+    replay: {
+        enter: enterRun,
+        update
+    },
+    paused: {
+        enter() {
+            sound.pauseMusic();
+            bus.emit('paused');
+        },
+        exit: closeSettings
+    },
+    // Resuming counts down first so the player can get ready
+    countdown: {
+        enter(data, from) {
+            countdownAfterPause = from === 'paused';
+            countdownTime = RESUME_COUNTDOWN;
+            countdownEl.innerText = RESUME_COUNTDOWN;
+        },
+        update(dt) {
+            countdownTime -= dt;
+            if (countdownTime > 0) {
+                countdownEl.innerText = Math.ceil(countdownTime);
+            } else {
+                flow.go(playback ? 'replay' : 'playing');
+            }
+        }
+    },
+    // The ninja tumbles away while the world keeps settling
+    dying: {
+        enter(event) {
+            lastDeath = event;
+            // A run that can still continue is only saved and announced once the offer is turned down
+            offerContinue = canContinue();
+            if (!offerContinue) finishRun(event);
+            sound.duck(true);
+            dyingTime = DYING_DURATION;
+            deathVelocity = event.reason === 'fall' ? 0 : 8;
+            if (reducedMotion()) return;
+            // Crashes hold the impact frame, then the ninja breaks apart
+            shakeCamera(0.35);
+            if (event.reason === 'collision') {
+                hitStopTime = HIT_STOP;
+                breakPlayer();
+            }
+        },
+        update(dt) {
+            if (hitStopTime > 0) {
+                hitStopTime -= dt;
+                return;
+            }
+            dyingTime -= dt;
+            if (reducedMotion()) {
+                if (dyingTime <= 0) endDying();
+                return;
+            }
+            if (playerBroken) {
+                updateDebris(dt);
+            } else {
+                deathVelocity -= 25 * dt;
+                player.position.y += deathVelocity * dt;
+                player.rotation.x += 6 * dt;
+            }
+            updateGround(dt);
+            updateItems(dt);
+            updateEffects(dt);
+            if (dyingTime <= 0) endDying();
+        }
+    },
+    // Pay to keep going, or let the offer run out
+    continue: {
+        enter() {
+            continueTime = CONTINUE_TIME;
+            updateContinuePanel();
+            bus.emit('reviveOffered', { cost: REVIVE_COST, coins: getSave().coins, tokens: reviveTokens });
+        },
+        update(dt) {
+            updateEffects(dt);
+            continueTime -= dt;
+            continueTimerEl.innerText = Math.max(0, Math.ceil(continueTime));
+            if (continueTime <= 0) declineContinue();
+        }
+    },
+    gameOver: {
+        update: updateEffects
+    }
+};
+
+// Which elements each state shows, everything else in the list is hidden
+const SCREENS = {
+    boot: [loadingScreen],
+    home: [homeScreen],
+    playing: [uiContainer, musicToggle, pauseBtn],
+    replay: [uiContainer, musicToggle, pauseBtn],
+    paused: [uiContainer, pauseOverlay],
+    countdown: [uiContainer, countdownEl],
+    dying: [uiContainer],
+    continue: [uiContainer, continueEl],
+    gameOver: [uiContainer, gameOverEl]
+};
+const SCREEN_DISPLAY = new Map([[homeScreen, 'flex'], [loadingScreen, 'flex']]); // Default is block
+
+function showScreens(state) {
+    const shown = SCREENS[state];
+    new Set(Object.values(SCREENS).flat()).forEach(el => {
+        el.style.display = shown.includes(el) ? (SCREEN_DISPLAY.get(el) || 'block') : 'none';
+    });
+}
+
+function enterRun(data, from) {
+    sound.duck(false);
+    if (getSettings().musicEnabled) sound.playMusic();
+    if (from === 'countdown' && countdownAfterPause) bus.emit('resumed');
+}
+
+function pauseGame() {
+    if (flow.is('playing', 'replay', 'countdown')) flow.go('paused');
+}
+
+function resumeGame() {
+    if (flow.is('paused')) flow.go('countdown');
+}
+
+// --- Continue ---
+// Live runs can be revived MAX_REVIVES times, paid with banked coins or a host's token.
+// Embedded games always offer it, the host may grant a token while the offer is up.
+function canContinue() {
+    if (playback || sim.revives >= MAX_REVIVES) return false;
+    return getSave().coins >= REVIVE_COST || reviveTokens > 0 || embed.embedded;
+}
+
+function endDying() {
+    flow.go(offerContinue ? 'continue' : 'gameOver', lastDeath);
+}
+
+function updateContinuePanel() {
+    continueTimerEl.innerText = Math.ceil(continueTime);
+    continueCoinsBtn.textContent = '🪙 ' + REVIVE_COST + ' CONTINUE';
+    continueCoinsBtn.disabled = getSave().coins < REVIVE_COST;
+    continueTokenBtn.textContent = 'USE TOKEN (' + reviveTokens + ')';
+    continueTokenBtn.style.display = reviveTokens > 0 ? 'inline-block' : 'none';
+}
+
+function reviveWith(source) {
+    if (!flow.is('continue')) return;
+    if (source === 'coins' ? getSave().coins < REVIVE_COST : reviveTokens <= 0) return;
+    if (!sim.input('revive')) return;
+    recorder.record(sim.tick, 'revive');
+    if (source === 'coins') {
+        updateSave(data => {
+            data.coins -= REVIVE_COST;
+        });
     } else {
-        musicToggle.textContent = '🎵 OFF';
-        musicToggle.classList.add('off');
+        reviveTokens--;
+    }
+    handleSimEvents();
+    bus.emit('revived', { paidWith: source, revives: sim.revives });
+    flow.go('countdown');
+}
+
+function declineContinue() {
+    if (!flow.is('continue')) return;
+    finishRun(lastDeath);
+    flow.go('gameOver', lastDeath);
+}
+
+// A run that died with a continue on offer is only saved once the offer is turned down,
+// so starting another one in the meantime saves it first
+function settleDeadRun() {
+    if (!offerContinue || !(flow.is('dying') || flow.is('continue'))) return;
+    offerContinue = false;
+    finishRun(lastDeath);
+}
+
+// Host hook: free revives for this visit, e.g. after the player watched an ad
+function grantRevive(count) {
+    if (!Number.isInteger(count) || count < 1) throw new Error('count must be a positive whole number');
+    reviveTokens += count;
+    if (flow.is('continue')) updateContinuePanel();
+}
+
+// --- Mute, Host Config ---
+function setMuted(value) {
+    sound.setMuted(value);
+}
+
+// Unknown biomes, difficulties or invalid speeds throw, which the bridge reports back to the host
+function applyHostConfig(message) {
+    const overrides = {};
+    ['minSpeed', 'maxSpeed', 'acceleration', 'difficulty'].forEach(key => {
+        if (message[key] !== undefined) overrides[key] = message[key];
+    });
+    const config = { ...simConfig, ...overrides };
+    // Validate everything before keeping anything
+    createSimulation().configure(message.theme !== undefined ? { ...config, biome: message.theme } : config);
+    if (message.adaptive !== undefined && typeof message.adaptive !== 'boolean') {
+        throw new Error('adaptive must be true or false');
     }
+
+    simConfig = config;
+    if (message.adaptive !== undefined) hostAdaptive = message.adaptive;
+    if (message.theme !== undefined) setTheme(message.theme);
+    if (message.seed !== undefined) setSeed(message.seed);
+}
+
+// Biome live runs start in, from the next run on
+function setTheme(name) {
+    getBiome(name); // Throws for unknown biomes
+    simConfig = { ...simConfig, biome: name };
+    if (flow && flow.is('home')) enterBiome(name, true); // Show it behind the home screen
+}
+
+// --- Public API ---
+// Lets embedding pages pick the seed for shared or daily runs. Applies from the next run.
+function setSeed(seed) {
+    fixedSeed = (seed === null || seed === undefined) ? null : normalizeSeed(seed);
+}
+
+function getSeed() {
+    return currentSeed;
 }
 
+// Replay log of the last finished run as JSON, or null before the first game over
+function exportReplay() {
+    return lastReplay ? serializeReplay(lastReplay) : null;
+}
+
+function playReplay(json) {
+    startRun(parseReplay(json));
+}
+
+// Current game state, e.g. 'home', 'playing' or 'gameOver'
+function getState() {
+    return flow.current;
+}
+
+window.JumpyDash = {
+    setSeed,
+    getSeed,
+    exportReplay,
+    playReplay,
+    setTheme,
+    getState,
+    verifyReplay: (json) => verifyReplay(parseReplay(json))
+};
+
 init();
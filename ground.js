@@ -0,0 +1,148 @@
+// --- Instanced Ground ---
+// Every ground tile of one look (normal, cracked...) is an instance of the same two
+// InstancedMeshes, the block and its surface details, so the whole track costs a handful of
+// draw calls however long it gets and spawning a row allocates nothing on the GPU.
+//
+// Tiles are plain {look, position} handles: move tile.position freely and call update() once a
+// frame to copy every position into the instances.
+
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { BLOCK_SIZE } from './physics.js';
+
+const MAX_TILES = 400; // Per look, a bit more than the track ever shows
+const COLOR_GROUND_DIRT = 0x8B4513; // Darker dirt color for lower part of sides (SaddleBrown)
+const COLOR_GROUND_INNER = 0xFFDEAD; // NavajoWhite (slightly darker than top)
+
+export function createGround(scene) {
+    const blockGeometry = new THREE.BoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE);
+    const detailGeometry = createDetailGeometry();
+    const looks = new Map(); // Name -> {block, detail, top, side, front, dot, tiles}
+    const matrix = new THREE.Matrix4();
+
+    // Shared by every look
+    const innerMaterial = new THREE.MeshStandardMaterial({ color: COLOR_GROUND_INNER, side: THREE.DoubleSide });
+    const dirtMaterial = new THREE.MeshStandardMaterial({
+        color: COLOR_GROUND_DIRT,
+        emissive: COLOR_GROUND_DIRT,
+        emissiveIntensity: 0.15,
+        side: THREE.DoubleSide
+    });
+
+    const ground = {
+        // Adds a look, or recolors an existing one (e.g. for another biome)
+        setLook(name, colorTop, colorSide, colorFront) {
+            if (!looks.has(name)) looks.set(name, createLook());
+            const look = looks.get(name);
+            look.top.color.set(colorTop);
+            look.top.emissive.set(colorTop);
+            look.side.color.set(colorSide);
+            look.side.emissive.set(colorSide);
+            look.front.color.set(colorFront);
+            look.front.emissive.set(colorFront);
+            look.dot.color.set(colorTop);
+        },
+
+        addTile(name, x, y, z) {
+            const look = looks.get(name);
+            if (!look) throw new Error('Ground look "' + name + '": not set');
+            if (look.tiles.length >= MAX_TILES) throw new Error('Ground look "' + name + '": out of tiles');
+            const tile = { look: name, position: new THREE.Vector3(x, y, z) };
+            look.tiles.push(tile);
+            return tile;
+        },
+
+        removeTile(tile) {
+            const tiles = looks.get(tile.look).tiles;
+            const index = tiles.indexOf(tile);
+            if (index === -1) return;
+            // Order doesn't matter, so swap in the last tile instead of shifting
+            tiles[index] = tiles[tiles.length - 1];
+            tiles.pop();
+        },
+
+        clear() {
+            looks.forEach(look => {
+                look.tiles.length = 0;
+            });
+            ground.update();
+        },
+
+        update() {
+            looks.forEach(look => {
+                look.tiles.forEach((tile, i) => {
+                    matrix.makeTranslation(tile.position.x, tile.position.y, tile.position.z);
+                    look.block.setMatrixAt(i, matrix);
+                    look.detail.setMatrixAt(i, matrix);
+                });
+                [look.block, look.detail].forEach(mesh => {
+                    mesh.count = look.tiles.length;
+                    mesh.instanceMatrix.needsUpdate = true;
+                });
+            });
+        },
+
+        getTileCount() {
+            let count = 0;
+            looks.forEach(look => {
+                count += look.tiles.length;
+            });
+            return count;
+        }
+    };
+
+    function createLook() {
+        const top = new THREE.MeshStandardMaterial({ emissiveIntensity: 0.2 });
+        const side = new THREE.MeshStandardMaterial({ emissiveIntensity: 0.2 });
+        const front = new THREE.MeshStandardMaterial({ emissiveIntensity: 0.2 });
+        const dot = new THREE.MeshStandardMaterial();
+
+        // Face order: +X (right), -X (left), +Y (top), -Y (bottom), +Z (front), -Z (back)
+        // In our isometric view: Left visible side = -X, Right visible side = +Z
+        const block = new THREE.InstancedMesh(blockGeometry, [side, front, top, side, side, side], MAX_TILES);
+        block.castShadow = true;
+        block.receiveShadow = true;
+
+        const detail = new THREE.InstancedMesh(detailGeometry, [innerMaterial, dot, dirtMaterial], MAX_TILES);
+        detail.receiveShadow = true;
+
+        [block, detail].forEach(mesh => {
+            mesh.count = 0;
+            mesh.frustumCulled = false; // Bounds would only cover the first tiles
+            scene.add(mesh);
+        });
+        return { block, detail, top, side, front, dot, tiles: [] };
+    }
+
+    return ground;
+}
+
+// Inner square and center dot on top, dirt on the lower half of each side, in one geometry
+// with a group per material: inner, dot, dirt
+function createDetailGeometry() {
+    const innerSize = BLOCK_SIZE * 0.6;
+    const inner = new THREE.PlaneGeometry(innerSize, innerSize);
+    inner.rotateX(-Math.PI / 2);
+    inner.translate(0, BLOCK_SIZE / 2 + 0.01, 0); // Slightly above
+
+    const dotSize = BLOCK_SIZE * 0.2;
+    const dot = new THREE.PlaneGeometry(dotSize, dotSize);
+    dot.rotateX(-Math.PI / 2);
+    dot.translate(0, BLOCK_SIZE / 2 + 0.02, 0);
+
+    // Lower half of each side, facing -X, +Z, +X and -Z
+    const dirtHeight = BLOCK_SIZE * 0.5;
+    const dirt = [
+        [Math.PI / 2, -BLOCK_SIZE / 2 - 0.01, 0],
+        [0, 0, BLOCK_SIZE / 2 + 0.01],
+        [-Math.PI / 2, BLOCK_SIZE / 2 + 0.01, 0],
+        [Math.PI, 0, -BLOCK_SIZE / 2 - 0.01]
+    ].map(([angle, x, z]) => {
+        const plane = new THREE.PlaneGeometry(BLOCK_SIZE, dirtHeight);
+        plane.rotateY(angle);
+        plane.translate(x, -BLOCK_SIZE / 4, z);
+        return plane;
+    });
+
+    return mergeGeometries([inner, dot, mergeGeometries(dirt)], true);
+}
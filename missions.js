@@ -0,0 +1,185 @@
+// --- Missions ---
+// Goals counted from gameplay events. Each is plain data:
+//
+//     {
+//         id: 'cactus-jumper',
+//         label: 'JUMP OVER 10 CACTI',
+//         event: 'obstaclePassed',          // Simulation event that counts (see simulation.js),
+//                                           // or 'progress' {speed, distance}, sent every frame
+//         where: { kind: 'cactus', airborne: true },   // Event fields that must match, optional
+//         measure: 'count',                 // count: +1 per event, sum: adds event[field],
+//         field: 'value',                   // max: the highest event[field] seen
+//         target: 10,
+//         scope: 'lifetime',                // run: must be reached within one run, lifetime: adds up
+//         daily: true,                      // In the daily rotation, otherwise a permanent achievement
+//         reward: 50                        // Coins banked on completion
+//     }
+//
+// Achievements complete once and stay unlocked. DAILY_COUNT daily missions are picked each
+// (UTC) day, the same for everyone, and start over when they rotate out.
+//
+// Progress lives in the save (see storage.js) as:
+//
+//     { "progress": { "cactus-jumper": 4 },        // Lifetime counts
+//       "completed": ["first-coin"],
+//       "daily": { "date": "2026-10-19", "ids": ["coins-20", ...] } }
+
+import { createRng } from './rng.js';
+
+export const DAILY_COUNT = 3;
+const MEASURES = ['count', 'sum', 'max'];
+const SCOPES = ['run', 'lifetime'];
+
+const DEFAULT_MISSIONS = [
+    // Daily rotation
+    { id: 'coins-20', label: 'COLLECT 20 COINS IN ONE RUN', event: 'coinCollected', target: 20, scope: 'run', daily: true, reward: 30 },
+    { id: 'coins-100', label: 'COLLECT 100 COINS', event: 'coinCollected', measure: 'sum', field: 'value', target: 100, scope: 'lifetime', daily: true, reward: 50 },
+    { id: 'cactus-jumper', label: 'JUMP OVER 10 CACTI', event: 'obstaclePassed', where: { kind: 'cactus', airborne: true }, target: 10, scope: 'lifetime', daily: true, reward: 40 },
+    { id: 'ufo-dodger', label: 'PASS 5 UFOS IN ONE RUN', event: 'obstaclePassed', where: { kind: 'ufo' }, target: 5, scope: 'run', daily: true, reward: 40 },
+    { id: 'speed-12', label: 'REACH SPEED 12', event: 'progress', measure: 'max', field: 'speed', target: 12, scope: 'run', daily: true, reward: 50 },
+    { id: 'distance-300', label: 'RUN 300M IN ONE RUN', event: 'progress', measure: 'max', field: 'distance', target: 300, scope: 'run', daily: true, reward: 40 },
+    { id: 'jumps-50', label: 'JUMP 50 TIMES', event: 'jumped', target: 50, scope: 'lifetime', daily: true, reward: 30 },
+    { id: 'near-misses-5', label: 'SCRAPE PAST 5 OBSTACLES', event: 'nearMiss', target: 5, scope: 'lifetime', daily: true, reward: 40 },
+    { id: 'power-ups-3', label: 'GRAB 3 POWER-UPS IN ONE RUN', event: 'powerUpCollected', target: 3, scope: 'run', daily: true, reward: 40 },
+
+    // Achievements
+    { id: 'first-coin', label: 'FIRST COIN', event: 'coinCollected', target: 1, scope: 'lifetime' },
+    { id: 'coin-hoarder', label: 'COLLECT 1000 COINS', event: 'coinCollected', measure: 'sum', field: 'value', target: 1000, scope: 'lifetime', reward: 200 },
+    { id: 'marathon', label: 'RUN 1000M IN ONE RUN', event: 'progress', measure: 'max', field: 'distance', target: 1000, scope: 'run', reward: 150 },
+    { id: 'top-speed', label: 'REACH TOP SPEED', event: 'progress', measure: 'max', field: 'speed', target: 15, scope: 'run', reward: 100 },
+    { id: 'ufo-veteran', label: 'PASS 100 UFOS', event: 'obstaclePassed', where: { kind: 'ufo' }, target: 100, scope: 'lifetime', reward: 100 },
+    { id: 'shielded', label: 'SAVED BY A SHIELD', event: 'shieldUsed', target: 1, scope: 'lifetime' }
+];
+
+const missions = new Map();
+
+// Validates a definition and adds it, replacing any mission with the same id (keeping its place)
+export function registerMission(definition) {
+    const id = definition && definition.id;
+    const fail = (message) => {
+        throw new Error('Mission "' + id + '": ' + message);
+    };
+
+    if (typeof id !== 'string' || id === '') fail('needs a string id');
+    if (typeof definition.label !== 'string') fail('needs a label');
+    if (typeof definition.event !== 'string') fail('needs an event to count');
+    const measure = definition.measure || 'count';
+    if (!MEASURES.includes(measure)) fail('measure must be one of ' + MEASURES.join(', '));
+    if (measure !== 'count' && typeof definition.field !== 'string') fail('measure "' + measure + '" needs a field');
+    if (!(definition.target > 0)) fail('target must be above zero');
+    if (!SCOPES.includes(definition.scope)) fail('scope must be one of ' + SCOPES.join(', '));
+    const reward = definition.reward || 0;
+    if (!(Number.isInteger(reward) && reward >= 0)) fail('reward must be a whole number of coins');
+
+    const mission = {
+        id,
+        label: definition.label,
+        event: definition.event,
+        where: definition.where || {},
+        measure,
+        field: definition.field || null,
+        target: definition.target,
+        scope: definition.scope,
+        daily: !!definition.daily,
+        reward
+    };
+    missions.set(id, mission);
+    return mission;
+}
+
+export function getMission(id) {
+    const mission = missions.get(id);
+    if (!mission) throw new Error('Unknown mission "' + id + '"');
+    return mission;
+}
+
+export function getMissions() {
+    return Array.from(missions.values());
+}
+
+export function getAchievements() {
+    return getMissions().filter(mission => !mission.daily);
+}
+
+// The day's missions, picked from the daily pool by the date alone
+export function pickDailyMissions(date) {
+    const rng = createRng('missions-' + date);
+    const pool = getMissions().filter(mission => mission.daily);
+    return rng.shuffle(pool).slice(0, DAILY_COUNT).map(mission => mission.id);
+}
+
+export function createMissionRecord() {
+    return { progress: {}, completed: [], daily: { date: '', ids: [] } };
+}
+
+// Counts events towards the missions in `record` (the save's, changed in place).
+// handle() returns the missions each event completed.
+export function createMissionTracker(record) {
+    let runProgress = {}; // Mission id -> value for run-scoped missions
+
+    const tracker = {
+        // Swaps in the missions of `date` ('YYYY-MM-DD'), clearing what was left of the old ones
+        rotateDaily(date) {
+            if (record.daily.date === date) return;
+            record.daily.ids.forEach(id => {
+                delete record.progress[id];
+                record.completed = record.completed.filter(done => done !== id);
+            });
+            record.daily = { date, ids: pickDailyMissions(date) };
+        },
+
+        startRun() {
+            runProgress = {};
+        },
+
+        // Today's missions followed by the achievements, each as {mission, value, completed}
+        getStatus() {
+            const daily = record.daily.ids.filter(id => missions.has(id)).map(getMission);
+            return [...daily, ...getAchievements()].map(mission => {
+                const completed = record.completed.includes(mission.id);
+                const value = completed ? mission.target : Math.min(tracker.getValue(mission), mission.target);
+                return { mission, value, completed };
+            });
+        },
+
+        getValue(mission) {
+            const values = mission.scope === 'run' ? runProgress : record.progress;
+            return values[mission.id] || 0;
+        },
+
+        handle(event) {
+            const done = [];
+            getActive().forEach(mission => {
+                if (mission.event !== event.type || !matches(mission.where, event)) return;
+                const values = mission.scope === 'run' ? runProgress : record.progress;
+                const value = values[mission.id] || 0;
+                if (mission.measure === 'count') {
+                    values[mission.id] = value + 1;
+                } else if (mission.measure === 'sum') {
+                    values[mission.id] = value + (event[mission.field] || 0);
+                } else {
+                    values[mission.id] = Math.max(value, event[mission.field] || 0);
+                }
+                if (values[mission.id] >= mission.target) {
+                    record.completed.push(mission.id);
+                    done.push(mission);
+                }
+            });
+            return done;
+        }
+    };
+
+    // Today's missions and the achievements still to complete
+    function getActive() {
+        return getMissions().filter(mission =>
+            (!mission.daily || record.daily.ids.includes(mission.id)) && !record.completed.includes(mission.id));
+    }
+
+    return tracker;
+}
+
+function matches(where, event) {
+    return Object.keys(where).every(key => event[key] === where[key]);
+}
+
+DEFAULT_MISSIONS.forEach(registerMission);
@@ -0,0 +1,147 @@
+// --- Obstacle Registry ---
+// Obstacle types are plain JSON-compatible data, so a new hazard only needs a definition:
+//
+//     {
+//         "id": "cactus",
+//         "sprite": "asset/Cactus.png",   // Image drawn as a sprite, or "mesh": "spike" for a built-in mesh
+//         "scale": [1.0, 1.2, 1.0],       // Visual size
+//         "height": "ground",             // ground = jump over, mid = slide under, air = stay under
+//         "y": 1.0,                       // Hitbox center height (ground top is at 0.5)
+//         "hitbox": [0.6, 0.8, 0.6],      // Width, height, depth
+//         "weight": 8,                    // Relative spawn chance
+//         "minGap": 6                     // Rows since the previous obstacle before this one may spawn
+//     }
+//
+// Add them with registerObstacleType(definition) or registerObstacleTypes(jsonArray).
+
+export const HEIGHT_CLASSES = ['ground', 'mid', 'air'];
+
+const DEFAULT_OBSTACLE_TYPES = [
+    {
+        id: 'spike',
+        mesh: 'spike',
+        scale: [1, 1, 1],
+        height: 'ground',
+        y: 0.8,
+        hitbox: [0.6, 0.6, 0.6],
+        weight: 50, // Most common
+        minGap: 6
+    },
+    {
+        id: 'cactus',
+        sprite: 'asset/Cactus.png',
+        scale: [1.0, 1.2, 1.0],
+        height: 'ground',
+        y: 1.0,
+        hitbox: [0.6, 0.8, 0.6],
+        weight: 8, // Less frequent
+        minGap: 6
+    },
+    {
+        id: 'wood',
+        sprite: 'asset/wood.png',
+        scale: [1.0, 0.8, 1.0],
+        height: 'ground',
+        y: 0.8,
+        hitbox: [0.7, 0.5, 0.6], // Wider like a log
+        weight: 24,
+        minGap: 6
+    },
+    {
+        // Laser gate from just above a ducked player (0.95) to above the jump peak (~4.0)
+        id: 'barrier',
+        mesh: 'barrier',
+        scale: [1, 1, 1],
+        height: 'mid',
+        y: 2.425,
+        hitbox: [0.9, 2.95, 0.3],
+        weight: 8,
+        minGap: 6
+    },
+    {
+        // Floating in the air, player must NOT jump. Player height ~0.5, jump height ~2.0,
+        // so a UFO at 2.2 with height 0.6 catches jumping players.
+        id: 'ufo',
+        sprite: 'asset/ufo.png',
+        scale: [1.2, 0.8, 1.0], // UFO shape (wider)
+        height: 'air',
+        y: 2.2,
+        hitbox: [0.8, 0.6, 0.6],
+        weight: 10,
+        minGap: 6
+    }
+];
+
+const obstacleTypes = new Map();
+
+// Validates a definition and adds it, replacing any type with the same id
+export function registerObstacleType(definition) {
+    const id = definition && definition.id;
+    const fail = (message) => {
+        throw new Error('Obstacle type "' + id + '": ' + message);
+    };
+
+    if (typeof id !== 'string' || id === '') fail('needs a string id');
+    if (!definition.sprite === !definition.mesh) fail('needs exactly one of sprite or mesh');
+    if (!HEIGHT_CLASSES.includes(definition.height)) fail('height must be one of ' + HEIGHT_CLASSES.join(', '));
+    if (!isVector(definition.hitbox)) fail('hitbox must be three positive numbers');
+    if (definition.scale !== undefined && !isVector(definition.scale)) fail('scale must be three positive numbers');
+    if (typeof definition.y !== 'number') fail('y must be a number');
+    if (!(definition.weight >= 0)) fail('weight must be zero or more');
+    if (!(definition.minGap >= 0)) fail('minGap must be zero or more');
+
+    const type = {
+        id,
+        sprite: definition.sprite || null,
+        mesh: definition.mesh || null,
+        scale: definition.scale || [1, 1, 1],
+        height: definition.height,
+        y: definition.y,
+        hitbox: definition.hitbox,
+        size: { x: definition.hitbox[0], y: definition.hitbox[1], z: definition.hitbox[2] },
+        weight: definition.weight,
+        minGap: definition.minGap
+    };
+    obstacleTypes.set(id, type);
+    return type;
+}
+
+export function registerObstacleTypes(definitions) {
+    const list = typeof definitions === 'string' ? JSON.parse(definitions) : definitions;
+    return list.map(registerObstacleType);
+}
+
+export function getObstacleType(id) {
+    const type = obstacleTypes.get(id);
+    if (!type) throw new Error('Unknown obstacle type "' + id + '"');
+    return type;
+}
+
+export function getObstacleTypes() {
+    return Array.from(obstacleTypes.values());
+}
+
+// Weighted pick among the types whose minGap allows them `gap` rows after the last obstacle
+export function pickObstacleType(rng, gap, types = getObstacleTypes()) {
+    const eligible = types.filter(type => type.weight > 0 && gap >= type.minGap);
+    const total = eligible.reduce((sum, type) => sum + type.weight, 0);
+    if (total === 0) return null;
+
+    let roll = rng.next() * total;
+    for (const type of eligible) {
+        roll -= type.weight;
+        if (roll < 0) return type;
+    }
+    return eligible[eligible.length - 1];
+}
+
+// Smallest gap after which any obstacle may spawn
+export function getMinObstacleGap(types = getObstacleTypes()) {
+    return types.reduce((min, type) => type.weight > 0 ? Math.min(min, type.minGap) : min, Infinity);
+}
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(n => typeof n === 'number' && n > 0);
+}
+
+registerObstacleTypes(DEFAULT_OBSTACLE_TYPES);
@@ -0,0 +1,103 @@
+// --- Particles ---
+// Small cubes thrown out in bursts (coin sparkles, dust, debris) that fly, fall, shrink and
+// fade out. Every particle is a pooled mesh with its own material for the fade, sharing one
+// geometry, so a steady stream of bursts allocates nothing once the pool has warmed up.
+//
+//     particles.burst(position, { count: 8, color: 0xFFD700, speed: 3 });
+//     particles.update(dt); // Once a frame
+
+import * as THREE from 'three';
+import { createPool } from './pool.js';
+
+const MAX_PARTICLES = 200; // Bursts past this are cut short rather than slowing the frame
+
+// Burst options, any subset can be passed
+const DEFAULT_BURST = {
+    count: 8,
+    color: 0xFFFFFF,
+    size: 0.12, // Edge length at the start, shrinks to nothing
+    speed: 3, // Units per second in a random direction
+    upward: 0, // Added to every particle's vertical speed
+    flat: false, // Spread along the ground only, for dust
+    gravity: 10,
+    life: 0.5 // Seconds
+};
+
+export function createParticles(scene) {
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const pool = createPool(() => ({
+        mesh: new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ transparent: true, depthWrite: false })),
+        velocity: new THREE.Vector3(),
+        age: 0,
+        life: 1,
+        size: 1,
+        gravity: 0
+    }));
+    const active = [];
+
+    const particles = {
+        burst(position, options = {}) {
+            const burst = { ...DEFAULT_BURST, ...options };
+            const count = Math.min(burst.count, MAX_PARTICLES - active.length);
+            for (let i = 0; i < count; i++) {
+                const particle = pool.acquire();
+                particle.mesh.position.copy(position);
+                particle.mesh.scale.setScalar(burst.size);
+                particle.mesh.material.color.set(burst.color);
+                particle.mesh.material.opacity = 1;
+                randomDirection(particle.velocity, burst.flat).multiplyScalar(burst.speed * (0.5 + Math.random() * 0.5));
+                particle.velocity.y += burst.upward;
+                particle.age = 0;
+                particle.life = burst.life * (0.7 + Math.random() * 0.3);
+                particle.size = burst.size;
+                particle.gravity = burst.gravity;
+                scene.add(particle.mesh);
+                active.push(particle);
+            }
+        },
+
+        update(dt) {
+            for (let i = active.length - 1; i >= 0; i--) {
+                const particle = active[i];
+                particle.age += dt;
+                const left = 1 - particle.age / particle.life;
+                if (left <= 0) {
+                    release(i);
+                    continue;
+                }
+                particle.velocity.y -= particle.gravity * dt;
+                particle.mesh.position.addScaledVector(particle.velocity, dt);
+                particle.mesh.scale.setScalar(particle.size * left);
+                particle.mesh.material.opacity = left;
+            }
+        },
+
+        clear() {
+            for (let i = active.length - 1; i >= 0; i--) release(i);
+        },
+
+        // {active, created, free}: flying now, and the pool behind them
+        getStats() {
+            return { active: active.length, ...pool.getStats() };
+        }
+    };
+
+    function release(index) {
+        const particle = active[index];
+        scene.remove(particle.mesh);
+        pool.release(particle);
+        // Order doesn't matter, so swap in the last particle instead of shifting
+        active[index] = active[active.length - 1];
+        active.pop();
+    }
+
+    return particles;
+}
+
+// Random unit vector, on the horizontal plane when `flat`
+function randomDirection(target, flat) {
+    const angle = Math.random() * Math.PI * 2;
+    const y = flat ? 0 : Math.random() * 2 - 1;
+    const radius = Math.sqrt(1 - y * y);
+    return target.set(Math.cos(angle) * radius, y, Math.sin(angle) * radius);
+}
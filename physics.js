@@ -0,0 +1,163 @@
+// --- Physics ---
+// Player movement and AABB collision as plain functions on plain objects. Shared by the
+// simulation and by tools that need to predict the player (chunk validation).
+
+// Rules always advance in fixed steps so a run plays out the same at any frame rate
+export const TICK_RATE = 120;
+export const FIXED_DT = 1 / TICK_RATE;
+
+export const BLOCK_SIZE = 1;
+export const LANE_WIDTH = 1.2;
+export const LANES = [-1, 0, 1]; // Lane +1 is the runner's left (+X, they run towards +Z)
+export const LANE_EASING = 12; // How fast the player slides towards targetX
+export const GROUND_Y = 0.8; // Player rest height (ground top is at y=0.5)
+export const GRAVITY = 35;
+export const JUMP_VELOCITY = 15;
+export const JUMP_CUT_VELOCITY = 5; // Releasing jump early caps the rise to this
+export const JUMP_AIRTIME = 2 * JUMP_VELOCITY / GRAVITY; // Seconds of a full jump
+export const SLIDE_DURATION = 0.6; // Seconds the player stays ducked
+const FAST_FALL_VELOCITY = 20; // Sliding in mid-air drops the player down first
+const LEDGE_TOLERANCE = 0.3; // How far below the ground top a falling player can still land
+export const FALL_DEATH_Y = -1.5; // Below the bottom of the ground blocks
+
+// Player hitbox relative to its position: the ninja group's bounds shrunk by 0.1 on every side.
+// Sliding lowers the top so mid-height obstacles pass overhead.
+export const PLAYER_BOX = { halfWidth: 0.225, bottom: -0.2, top: 0.3, slideTop: 0.0, halfDepth: 0.225 };
+
+export function createPlayerState(lane = 0) {
+    return {
+        x: lane * LANE_WIDTH,
+        y: GROUND_Y,
+        z: 0,
+        lane,
+        targetX: lane * LANE_WIDTH,
+        verticalVelocity: 0,
+        isJumping: false,
+        slideTime: 0, // Seconds of slide left
+        slideQueued: false // Slide pressed in mid-air, starts on landing
+    };
+}
+
+// --- Actions ---
+// Each returns true when it changed the player, false when it was not possible right now
+
+export function jump(p) {
+    if (p.isJumping) return false;
+    p.slideTime = 0; // Jumping cancels a slide
+    p.verticalVelocity = JUMP_VELOCITY;
+    p.isJumping = true;
+    return true;
+}
+
+export function releaseJump(p) {
+    if (p.isJumping && p.verticalVelocity > JUMP_CUT_VELOCITY) {
+        p.verticalVelocity = JUMP_CUT_VELOCITY;
+        return true;
+    }
+    return false;
+}
+
+export function slide(p) {
+    if (p.isJumping) {
+        if (p.slideQueued) return false;
+        p.verticalVelocity = Math.min(p.verticalVelocity, -FAST_FALL_VELOCITY);
+        p.slideQueued = true;
+        return true;
+    }
+    if (p.slideTime > 0) return false;
+    p.slideTime = SLIDE_DURATION;
+    return true;
+}
+
+export function changeLane(p, direction) {
+    if (isInPit(p)) return false;
+    const lane = p.lane + direction;
+    if (!LANES.includes(lane)) return false;
+    p.lane = lane;
+    p.targetX = lane * LANE_WIDTH;
+    return true;
+}
+
+// --- Movement ---
+// `isGround(x, z)` tells whether there is a ground tile under a point, everything is solid by
+// default. Returns true on the step the player lands.
+export function stepPlayer(p, dt, speed, isGround = solidGround) {
+    let landed = false;
+
+    // Ease towards the lane's center
+    p.x += (p.targetX - p.x) * Math.min(1, LANE_EASING * dt);
+    if (Math.abs(p.targetX - p.x) < 0.01) p.x = p.targetX;
+
+    // Running off an edge
+    if (!p.isJumping && !isSupported(p, isGround)) {
+        p.isJumping = true;
+        p.verticalVelocity = 0;
+    }
+
+    // Gravity and Jumping
+    if (p.isJumping) {
+        p.verticalVelocity -= GRAVITY * dt;
+        p.y += p.verticalVelocity * dt;
+
+        if (p.y <= GROUND_Y && p.y > GROUND_Y - LEDGE_TOLERANCE && isSupported(p, isGround)) {
+            p.y = GROUND_Y;
+            p.isJumping = false;
+            p.verticalVelocity = 0;
+            landed = true;
+
+            if (p.slideQueued) {
+                p.slideQueued = false;
+                p.slideTime = SLIDE_DURATION;
+            }
+        }
+    }
+
+    if (p.slideTime > 0) {
+        p.slideTime = Math.max(0, p.slideTime - dt);
+    }
+
+    // Inside a pit the far wall stops the player
+    const z = p.z + speed * dt;
+    if (!isInPit(p) || !isGround(p.x, z + PLAYER_BOX.halfDepth)) {
+        p.z = z;
+    }
+    return landed;
+}
+
+// Standing needs ground under the front or the back of the player
+export function isSupported(p, isGround = solidGround) {
+    return isGround(p.x, p.z - PLAYER_BOX.halfDepth) || isGround(p.x, p.z + PLAYER_BOX.halfDepth);
+}
+
+// Too low to land anymore, the fall can only end at FALL_DEATH_Y
+export function isInPit(p) {
+    return p.y <= GROUND_Y - LEDGE_TOLERANCE;
+}
+
+function solidGround() {
+    return true;
+}
+
+// --- Collision ---
+export function getPlayerBox(p) {
+    return {
+        minX: p.x - PLAYER_BOX.halfWidth, maxX: p.x + PLAYER_BOX.halfWidth,
+        minY: p.y + PLAYER_BOX.bottom, maxY: p.y + (p.slideTime > 0 ? PLAYER_BOX.slideTop : PLAYER_BOX.top),
+        minZ: p.z - PLAYER_BOX.halfDepth, maxZ: p.z + PLAYER_BOX.halfDepth
+    };
+}
+
+export function getObstacleBox(o) {
+    return {
+        minX: o.x - o.size.x / 2, maxX: o.x + o.size.x / 2,
+        minY: o.y - o.size.y / 2, maxY: o.y + o.size.y / 2,
+        minZ: o.z - o.size.z / 2, maxZ: o.z + o.size.z / 2
+    };
+}
+
+// Same test as THREE.Box3.intersectsBox (touching counts as overlap)
+export function boxesOverlap(a, b) {
+    return a.maxX >= b.minX && a.minX <= b.maxX &&
+        a.maxY >= b.minY && a.minY <= b.maxY &&
+        a.maxZ >= b.minZ && a.minZ <= b.maxZ;
+}
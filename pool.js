@@ -0,0 +1,26 @@
+// --- Object Pool ---
+// Keeps released objects around for the next acquire(), so spawning a steady stream of
+// meshes reuses a fixed set instead of allocating new ones for the garbage collector.
+
+export function createPool(create) {
+    const free = [];
+    let created = 0;
+
+    return {
+        // A released object if there is one, otherwise a new one from create()
+        acquire() {
+            if (free.length) return free.pop();
+            created++;
+            return create();
+        },
+
+        release(object) {
+            free.push(object);
+        },
+
+        // {created, free}: everything ever made, and how much of it is waiting for reuse
+        getStats() {
+            return { created, free: free.length };
+        }
+    };
+}
@@ -0,0 +1,126 @@
+// --- Power-Up Registry ---
+// A power-up is a pickup on the track plus a timed effect. The effect is a set of hooks
+// the simulation calls, so a new power-up only needs a definition:
+//
+//     registerPowerUp({
+//         id: 'magnet',
+//         label: 'MAGNET',            // HUD text
+//         color: 0x00B0FF,            // Pickup and HUD color
+//         duration: 8,                // Seconds, picking it up again restarts the timer
+//         weight: 1,                  // Relative spawn chance
+//         start(sim, effect) {},      // Picked up
+//         tick(sim, effect, dt) {},   // Every simulation step while active
+//         end(sim, effect) {}         // Timer ran out or the effect was used up
+//     });
+//
+// Hooks run inside the fixed-step simulation, so they must stay deterministic (no
+// Math.random, no wall-clock time) for replays to hold.
+
+const MAGNET_RANGE = 8; // Rows ahead of the player coins are pulled from
+const MAGNET_PULL = 10; // How fast pulled coins close in
+
+const DEFAULT_POWER_UPS = [
+    {
+        id: 'magnet',
+        label: 'MAGNET',
+        color: 0x00B0FF,
+        duration: 8,
+        weight: 3,
+        tick(sim, effect, dt) {
+            const p = sim.player;
+            sim.coins.forEach(coin => {
+                if (coin.z < p.z - 1 || coin.z > p.z + MAGNET_RANGE) return;
+                const pull = Math.min(1, MAGNET_PULL * dt);
+                coin.x += (p.x - coin.x) * pull;
+                coin.y += (p.y - coin.y) * pull;
+                coin.z += (p.z - coin.z) * pull;
+                coin.magnetized = true;
+            });
+        }
+    },
+    {
+        // Used up by the first obstacle hit (see absorbHit in simulation.js)
+        id: 'shield',
+        label: 'SHIELD',
+        color: 0x76FF03,
+        duration: 10,
+        weight: 2,
+        start(sim) { sim.shielded = true; },
+        end(sim) { sim.shielded = false; }
+    },
+    {
+        id: 'double-coins',
+        label: '2X COINS',
+        color: 0xFFAB00,
+        duration: 10,
+        weight: 3,
+        start(sim) { sim.coinMultiplier = 2; },
+        end(sim) { sim.coinMultiplier = 1; }
+    },
+    {
+        id: 'slow-mo',
+        label: 'SLOW-MO',
+        color: 0xE040FB,
+        duration: 5,
+        weight: 2,
+        start(sim) { sim.speedScale = 0.6; },
+        end(sim) { sim.speedScale = 1; }
+    }
+];
+
+const powerUps = new Map();
+
+// Validates a definition and adds it, replacing any power-up with the same id
+export function registerPowerUp(definition) {
+    const id = definition && definition.id;
+    const fail = (message) => {
+        throw new Error('Power-up "' + id + '": ' + message);
+    };
+
+    if (typeof id !== 'string' || id === '') fail('needs a string id');
+    if (!(definition.duration > 0)) fail('duration must be a positive number of seconds');
+    if (!(definition.weight >= 0)) fail('weight must be zero or more');
+    ['start', 'tick', 'end'].forEach(hook => {
+        if (definition[hook] !== undefined && typeof definition[hook] !== 'function') fail(hook + ' must be a function');
+    });
+
+    const noop = () => {};
+    const powerUp = {
+        id,
+        label: definition.label || id.toUpperCase(),
+        color: definition.color !== undefined ? definition.color : 0xFFFFFF,
+        duration: definition.duration,
+        weight: definition.weight,
+        start: definition.start || noop,
+        tick: definition.tick || noop,
+        end: definition.end || noop
+    };
+    powerUps.set(id, powerUp);
+    return powerUp;
+}
+
+export function getPowerUp(id) {
+    const powerUp = powerUps.get(id);
+    if (!powerUp) throw new Error('Unknown power-up "' + id + '"');
+    return powerUp;
+}
+
+export function getPowerUps() {
+    return Array.from(powerUps.values());
+}
+
+// Weighted pick, null when nothing can spawn
+export function pickPowerUp(rng, list = getPowerUps()) {
+    const eligible = list.filter(powerUp => powerUp.weight > 0);
+    const total = eligible.reduce((sum, powerUp) => sum + powerUp.weight, 0);
+    if (total === 0) return null;
+
+    let roll = rng.next() * total;
+    for (const powerUp of eligible) {
+        roll -= powerUp.weight;
+        if (roll < 0) return powerUp;
+    }
+    return eligible[eligible.length - 1];
+}
+
+DEFAULT_POWER_UPS.forEach(registerPowerUp);
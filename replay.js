@@ -0,0 +1,107 @@
+// --- Replays ---
+// The simulation is deterministic on fixed steps, so a run is fully described by its
+// seed plus the tick of every input. A log looks like:
+//
+//     { "version": 1, "seed": 1234, "tickRate": 120,
+//       "config": { "minSpeed": 5, "maxSpeed": 15, "acceleration": 0.1, "biome": "classic",
+//                   "difficulty": "normal", "ease": 0 },
+//       "inputs": [[95, "jump"], [131, "release"]],
+//       "result": { "score": 12, "distance": 210.4, "ticks": 4500 } }
+//
+// Each input is applied right before the step after `tick` (tick / tickRate = seconds).
+// A "revive" input sits at the tick the player died on.
+// `config` is the simulation's speed ramp, starting biome and difficulty; logs without one,
+// or without some of its keys, use the defaults.
+
+import { TICK_RATE } from './physics.js';
+import { DEFAULT_CONFIG, createSimulation } from './simulation.js';
+
+export const REPLAY_VERSION = 1;
+const MAX_VERIFY_TICKS = TICK_RATE * 60 * 60; // Give up on logs claiming runs over an hour
+
+export function createRecorder(seed, config = DEFAULT_CONFIG) {
+    const log = { version: REPLAY_VERSION, seed, tickRate: TICK_RATE, config: { ...config }, inputs: [], result: null };
+    return {
+        log,
+        record(tick, action) {
+            log.inputs.push([tick, action]);
+        },
+        finish(sim) {
+            log.result = getRunResult(sim);
+        }
+    };
+}
+
+// Feeds a log back into a simulation; call applyDue before every step
+export function createPlayback(log) {
+    let index = 0;
+    return {
+        log,
+        applyDue(sim) {
+            while (index < log.inputs.length && log.inputs[index][0] <= sim.tick) {
+                sim.input(log.inputs[index][1]);
+                index++;
+            }
+        }
+    };
+}
+
+// Re-runs a log headless and checks it ends with the result it claims
+export function verifyReplay(log) {
+    const sim = createSimulation();
+    const playback = createPlayback(log);
+    sim.configure(log.config);
+    sim.reset(log.seed);
+    while (sim.tick < MAX_VERIFY_TICKS) {
+        playback.applyDue(sim); // A 'revive' here brings a dead run back
+        if (!sim.alive) break;
+        sim.step();
+        sim.drainEvents();
+    }
+    const result = getRunResult(sim);
+    return { verified: resultsMatch(log.result, result), result };
+}
+
+export function getRunResult(sim) {
+    return { score: sim.score, distance: round(sim.player.z), ticks: sim.tick };
+}
+
+export function resultsMatch(claimed, actual) {
+    return !!claimed && claimed.score === actual.score &&
+        claimed.distance === actual.distance && claimed.ticks === actual.ticks;
+}
+
+export function serializeReplay(log) {
+    return JSON.stringify(log);
+}
+
+export function parseReplay(json) {
+    const log = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!log || log.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay version');
+    }
+    if (!Number.isInteger(log.seed) || log.seed < 0) {
+        throw new Error('Replay has no valid seed');
+    }
+    if (log.tickRate !== TICK_RATE) {
+        throw new Error('Replay was recorded at ' + log.tickRate + ' ticks per second');
+    }
+    if (log.config !== undefined) {
+        createSimulation().configure(log.config); // Throws for invalid values
+    }
+    if (!Array.isArray(log.inputs)) {
+        throw new Error('Replay has no inputs');
+    }
+    let lastTick = 0;
+    log.inputs.forEach(input => {
+        if (!Array.isArray(input) || !Number.isInteger(input[0]) || input[0] < lastTick || typeof input[1] !== 'string') {
+            throw new Error('Replay inputs are malformed');
+        }
+        lastTick = input[0];
+    });
+    return log;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
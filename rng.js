@@ -0,0 +1,78 @@
+// --- Seeded Random ---
+// Every level-generation decision goes through one of these instead of Math.random(),
+// so the same seed always builds the same run.
+
+// Default generator (mulberry32): tiny, fast and good enough for spawn decisions
+export function mulberry32(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Wraps any `seed => () => [0, 1)` generator with the helpers the game needs
+export function createRng(seed, generator = mulberry32) {
+    const normalizedSeed = normalizeSeed(seed);
+    let next = generator(normalizedSeed);
+
+    const rng = {
+        seed: normalizedSeed,
+        next: () => next(),
+        chance: (probability) => next() < probability,
+        range: (min, max) => min + next() * (max - min),
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)), // Inclusive
+        pick: (list) => list[Math.floor(next() * list.length)],
+        // Fisher-Yates, in place
+        shuffle: (list) => {
+            for (let i = list.length - 1; i > 0; i--) {
+                const j = Math.floor(next() * (i + 1));
+                [list[i], list[j]] = [list[j], list[i]];
+            }
+            return list;
+        },
+        reset: () => { next = generator(normalizedSeed); }
+    };
+    return rng;
+}
+
+// Numbers are used as-is, anything else is hashed (FNV-1a) so "my-run" is a valid seed
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(Math.abs(seed)) >>> 0;
+    }
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Same seed for everyone on the same (UTC) day
+export function dailySeed(date = new Date()) {
+    return normalizeSeed('daily-' + date.toISOString().slice(0, 10));
+}
+
+// ?seed=1234 or ?seed=any-text for shared runs, ?daily for the daily challenge
+export function seedFromUrl(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    if (params.has('seed') && params.get('seed') !== '') {
+        return normalizeSeed(params.get('seed'));
+    }
+    if (params.has('daily')) {
+        return dailySeed();
+    }
+    return null;
+}
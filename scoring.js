@@ -0,0 +1,90 @@
+// --- Scoring ---
+// Points come from distance, coins and near misses, all scaled by a multiplier that grows
+// with speed. Coins picked up in quick succession build a streak that multiplies them further.
+// The simulation owns one of these per run, so scores stay deterministic for replays.
+
+const DISTANCE_POINTS = 1; // Per block travelled
+const COIN_POINTS = 10;
+const NEAR_MISS_POINTS = 25;
+export const NEAR_MISS_MARGIN = 0.25; // Clearing an obstacle's box by less than this counts as a near miss
+
+const SPEED_STEP = 2.5; // Every this much speed above the start adds SPEED_BONUS to the multiplier
+const SPEED_BONUS = 0.5;
+const COMBO_WINDOW = 1.5; // Seconds allowed between coins to keep a streak going
+const COMBO_STEP = 5; // Coins in a streak per extra combo level
+const MAX_COMBO = 4;
+
+export function createScoring(baseSpeed) {
+    const scoring = {
+        total: 0, // Whole points, what the HUD and results show
+        distance: 0,
+        distancePoints: 0,
+        coins: 0,
+        coinPoints: 0,
+        nearMisses: 0,
+        nearMissPoints: 0,
+        streak: 0,
+        bestStreak: 0,
+        combo: 1,
+        lastCoinTime: -Infinity
+    };
+
+    scoring.getSpeedMultiplier = function(speed) {
+        return 1 + Math.floor(Math.max(0, speed - baseSpeed) / SPEED_STEP) * SPEED_BONUS;
+    };
+
+    scoring.addDistance = function(blocks, speed) {
+        scoring.distance += blocks;
+        scoring.distancePoints += blocks * DISTANCE_POINTS * scoring.getSpeedMultiplier(speed);
+        updateTotal();
+    };
+
+    // `value` is how many coins this pickup is worth (power-ups can double it). Returns the points.
+    scoring.addCoin = function(value, time, speed) {
+        scoring.streak = time - scoring.lastCoinTime <= COMBO_WINDOW ? scoring.streak + 1 : 1;
+        scoring.lastCoinTime = time;
+        scoring.bestStreak = Math.max(scoring.bestStreak, scoring.streak);
+        scoring.combo = Math.min(MAX_COMBO, 1 + Math.floor(scoring.streak / COMBO_STEP));
+
+        const points = Math.round(COIN_POINTS * value * scoring.combo * scoring.getSpeedMultiplier(speed));
+        scoring.coins += value;
+        scoring.coinPoints += points;
+        updateTotal();
+        return points;
+    };
+
+    scoring.addNearMiss = function(speed) {
+        const points = Math.round(NEAR_MISS_POINTS * scoring.getSpeedMultiplier(speed));
+        scoring.nearMisses++;
+        scoring.nearMissPoints += points;
+        updateTotal();
+        return points;
+    };
+
+    // Streaks lapse once the window since the last coin has passed
+    scoring.update = function(time) {
+        if (scoring.streak > 0 && time - scoring.lastCoinTime > COMBO_WINDOW) {
+            scoring.streak = 0;
+            scoring.combo = 1;
+        }
+    };
+
+    scoring.getBreakdown = function() {
+        return {
+            distance: Math.floor(scoring.distance),
+            distancePoints: Math.floor(scoring.distancePoints),
+            coins: scoring.coins,
+            coinPoints: scoring.coinPoints,
+            nearMisses: scoring.nearMisses,
+            nearMissPoints: scoring.nearMissPoints,
+            bestStreak: scoring.bestStreak,
+            total: scoring.total
+        };
+    };
+
+    function updateTotal() {
+        scoring.total = Math.floor(scoring.distancePoints) + scoring.coinPoints + scoring.nearMissPoints;
+    }
+
+    return scoring;
+}
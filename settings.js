@@ -0,0 +1,69 @@
+// --- Settings ---
+// Player preferences, stored in the save (see storage.js) and applied by game.js:
+//
+//     { "musicEnabled": false, "musicVolume": 1, "sfxVolume": 1,
+//       "shadows": "high",                   // high, low or off
+//       "antialias": true, "reducedMotion": false, "haptics": true,
+//       "difficulty": "normal",              // Profile id (see difficulty.js)
+//       "adaptiveDifficulty": false,         // Ease off after repeated early deaths
+//       "keys": { "jump": ["ArrowUp", "KeyW", "Space"], ... } }   // KeyboardEvent.code values
+
+import { DEFAULT_DIFFICULTY } from './difficulty.js';
+
+export const SHADOW_QUALITIES = ['high', 'low', 'off'];
+
+// Actions in the order the settings panel lists them
+export const DEFAULT_KEYS = {
+    jump: ['ArrowUp', 'KeyW', 'Space'],
+    slide: ['ArrowDown', 'KeyS'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    pause: ['Escape', 'KeyP']
+};
+
+export function createDefaultSettings() {
+    return {
+        musicEnabled: false,
+        musicVolume: 1,
+        sfxVolume: 1,
+        shadows: 'high',
+        antialias: true,
+        // Follow the system setting until the player picks one
+        reducedMotion: !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches),
+        haptics: true,
+        difficulty: DEFAULT_DIFFICULTY,
+        adaptiveDifficulty: false,
+        keys: copyKeys(DEFAULT_KEYS)
+    };
+}
+
+// Action bound to a key code, or null
+export function getKeyAction(keys, code) {
+    return Object.keys(keys).find(action => keys[action].includes(code)) || null;
+}
+
+// New key map with `code` as the only key for `action`, taken away from any other action
+export function rebindKey(keys, action, code) {
+    if (!DEFAULT_KEYS[action]) throw new Error('Unknown action "' + action + '"');
+    const rebound = copyKeys(keys);
+    Object.keys(rebound).forEach(other => {
+        rebound[other] = rebound[other].filter(bound => bound !== code);
+    });
+    rebound[action] = [code];
+    return rebound;
+}
+
+// Short name for a key code, e.g. 'KeyW' -> 'W', 'ArrowUp' -> '↑'
+export function getKeyLabel(code) {
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (arrows[code]) return arrows[code];
+    return code.replace(/^(Key|Digit)/, '').toUpperCase();
+}
+
+function copyKeys(keys) {
+    const copy = {};
+    Object.keys(keys).forEach(action => {
+        copy[action] = [...keys[action]];
+    });
+    return copy;
+}
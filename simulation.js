@@ -0,0 +1,658 @@
+// --- Simulation ---
+// The game rules with no Three.js or DOM: player physics, speed ramp, obstacle/coin
+// spawning and AABB collision. game.js only mirrors this state into the scene, so the
+// same module runs headless in Node, e.g.:
+//
+//     const sim = createSimulation();
+//     sim.reset(1234);
+//     while (sim.alive && sim.time < 120) sim.step();
+//     console.log(sim.score, sim.player.z);
+
+import { createRng } from './rng.js';
+import { getMinObstacleGap, getObstacleType, getObstacleTypes, pickObstacleType } from './obstacles.js';
+import { getPowerUp, pickPowerUp } from './powerups.js';
+import { NEAR_MISS_MARGIN, createScoring } from './scoring.js';
+import { getChunkGap, getChunks, getMaxPitWidth, laneForColumn, parseCell, pickChunk } from './chunks.js';
+import { DEFAULT_BIOME, getBiome, getBiomeAt, weightObstacleTypes } from './biomes.js';
+import { DEFAULT_DIFFICULTY, applyDifficulty, getDifficulty, getDifficultyAt } from './difficulty.js';
+import {
+    BLOCK_SIZE, FALL_DEATH_Y, FIXED_DT, GROUND_Y, LANES, LANE_WIDTH, PLAYER_BOX,
+    boxesOverlap, changeLane, createPlayerState, getObstacleBox, getPlayerBox, jump, releaseJump, slide, stepPlayer
+} from './physics.js';
+
+export const MIN_SPEED = 5; // Start slower (was 8)
+export const MAX_SPEED = 15;
+export const ACCELERATION = 0.1; // Speed increase per second
+export const DEFAULT_CONFIG = {
+    minSpeed: MIN_SPEED, maxSpeed: MAX_SPEED, acceleration: ACCELERATION, biome: DEFAULT_BIOME,
+    difficulty: DEFAULT_DIFFICULTY, ease: 0
+};
+const SPEED_KEYS = ['minSpeed', 'maxSpeed', 'acceleration'];
+
+const SPAWN_AHEAD = 15; // Rows are generated this far in front of the player
+const DESPAWN_BEHIND = 5; // Items this far behind the player are dropped
+const ITEMS_START_Z = 5; // No obstacles or coins on the first rows
+const OBSTACLE_CHANCE = 0.3; // Chance of an obstacle row when no chunk fits the speed, at normal density
+const COIN_PICKUP_RADIUS = 1.5;
+const COIN_PICKUP_HALF_WIDTH = LANE_WIDTH / 2; // Only coins in the player's own lane
+const PIT_CHANCE = 0.25; // Chance of a pit across the track after a gap
+const CRUMBLE_EDGE_CHANCE = 0.3; // Chance a pit starts with a crumbling tile
+const CRUMBLE_DELAY = 0.12; // Seconds a crumbling tile holds once stepped on
+const BUSY_CHUNK_BIAS = 3; // How strongly density above 1 favours chunks with more obstacles per row
+const POWER_UP_CHANCE = 0.015; // Chance of a power-up pickup on a row between chunks
+export const MAX_REVIVES = 1; // Per run
+const REVIVE_CLEAR_BEHIND = 2; // Obstacles and holes this close to the player are cleared on revive
+const REVIVE_CLEAR_AHEAD = 12;
+const REVIVE_INVULNERABILITY = 3; // Seconds obstacles pass through the player after a revive
+const REVIVE_SPEED_FACTOR = 0.8; // Share of the speed at death the run resumes with
+
+export function createSimulation() {
+    const sim = {
+        config: { ...DEFAULT_CONFIG }, // Speed ramp, starting biome and difficulty, see configure()
+        seed: 0,
+        rng: null,
+        tick: 0, // Steps taken this run
+        time: 0,
+        alive: false,
+        score: 0, // Points so far, mirrors scoring.total
+        scoring: null, // Distance, coin and near-miss points (scoring.js)
+        speed: MIN_SPEED,
+        speedScale: 1, // Power-ups scale the run speed without touching the ramp
+        coinMultiplier: 1,
+        shielded: false,
+        revives: 0, // Times the player came back this run
+        invulnerable: 0, // Seconds left of the post-revive grace period
+        player: null,
+        obstacles: [],
+        coins: [],
+        powerUps: [], // Pickups on the track
+        activePowerUps: [], // {id, remaining, duration} effects running
+        biome: DEFAULT_BIOME, // Id of the biome the player is in (biomes.js)
+        holes: new Map(), // "z,lane" -> {lane, z, kind: 'pit'|'crumble', timer, fallen}, missing or weak tiles
+        events: [], // Drained by whoever mirrors the state (see drainEvents)
+        lastRowZ: 0,
+        lastObstacleZ: -999,
+        coinLine: null, // {lane, remaining} while laying out a line of coins
+        segment: null, // {kind: 'chunk'|'gap'|'random', chunk, row, length} being laid out
+        nextId: 1
+    };
+
+    sim.reset = function(seed) {
+        sim.seed = seed;
+        sim.rng = createRng(seed);
+        sim.tick = 0;
+        sim.time = 0;
+        sim.alive = true;
+        sim.score = 0;
+        sim.scoring = createScoring(sim.config.minSpeed);
+        sim.speed = sim.config.minSpeed;
+        sim.speedScale = 1;
+        sim.coinMultiplier = 1;
+        sim.shielded = false;
+        sim.revives = 0;
+        sim.invulnerable = 0;
+        sim.obstacles = [];
+        sim.coins = [];
+        sim.powerUps = [];
+        sim.activePowerUps = [];
+        sim.holes = new Map();
+        sim.events = [];
+        sim.lastObstacleZ = -999;
+        sim.coinLine = null;
+        sim.segment = null;
+        sim.nextId = 1;
+        sim.player = createPlayerState();
+        sim.biome = sim.config.biome;
+
+        // Initial ground
+        for (let i = -5; i < 15; i++) {
+            spawnRow(i * BLOCK_SIZE, true);
+        }
+        sim.lastRowZ = 14 * BLOCK_SIZE;
+    };
+
+    // Replaces the config with DEFAULT_CONFIG plus `overrides`, from the next reset on.
+    // Speeds not overridden come from the difficulty profile.
+    sim.configure = function(overrides) {
+        const values = overrides || {};
+        const config = { ...DEFAULT_CONFIG };
+        if (values.difficulty !== undefined) {
+            try {
+                config.difficulty = getDifficulty(values.difficulty).id;
+            } catch (e) {
+                throw new Error('Simulation config: ' + e.message);
+            }
+        }
+        const difficulty = getDifficulty(config.difficulty);
+        SPEED_KEYS.forEach(key => {
+            config[key] = difficulty[key];
+        });
+        SPEED_KEYS.forEach(key => {
+            if (values[key] === undefined) return;
+            if (typeof values[key] !== 'number' || !(values[key] >= 0)) {
+                throw new Error('Simulation config: ' + key + ' must be a number of zero or more');
+            }
+            config[key] = values[key];
+        });
+        if (!(config.minSpeed > 0 && config.minSpeed <= config.maxSpeed)) {
+            throw new Error('Simulation config: minSpeed must be above zero and not exceed maxSpeed');
+        }
+        if (values.biome !== undefined) {
+            try {
+                config.biome = getBiome(values.biome).id;
+            } catch (e) {
+                throw new Error('Simulation config: ' + e.message);
+            }
+        }
+        if (values.ease !== undefined) {
+            if (typeof values.ease !== 'number' || !(values.ease >= 0 && values.ease <= 1)) {
+                throw new Error('Simulation config: ease must be a number from 0 to 1');
+            }
+            config.ease = values.ease;
+        }
+        sim.config = config;
+    };
+
+    // Every player action goes through here, so live play and replays share one path.
+    // Returns true when the action changed something (only those need recording).
+    sim.input = function(action) {
+        switch (action) {
+            case 'jump': return sim.startJump();
+            case 'release': return sim.endJump();
+            case 'left': return sim.changeLane(1);
+            case 'right': return sim.changeLane(-1);
+            case 'slide': return sim.startSlide();
+            case 'revive': return sim.revive();
+            default: return false;
+        }
+    };
+
+    sim.startJump = function() {
+        if (!sim.alive || !jump(sim.player)) return false;
+        emit('jumped');
+        return true;
+    };
+
+    sim.endJump = function() {
+        return sim.alive && releaseJump(sim.player);
+    };
+
+    sim.startSlide = function() {
+        const wasSliding = sim.player.slideTime > 0;
+        if (!sim.alive || !slide(sim.player)) return false;
+        if (!wasSliding && sim.player.slideTime > 0) emit('slid');
+        return true;
+    };
+
+    sim.changeLane = function(direction) {
+        if (!sim.alive || !changeLane(sim.player, direction)) return false;
+        emit('laneChanged', { lane: sim.player.lane });
+        return true;
+    };
+
+    // Brings a dead player back where they died, up to MAX_REVIVES times a run: obstacles and
+    // holes around them are cleared, obstacles pass through for a while and the speed drops a bit
+    sim.revive = function() {
+        if (sim.alive || sim.tick === 0 || sim.revives >= MAX_REVIVES) return false;
+        const p = sim.player;
+        const inRange = (z) => z >= p.z - REVIVE_CLEAR_BEHIND && z <= p.z + REVIVE_CLEAR_AHEAD;
+
+        for (let i = sim.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = sim.obstacles[i];
+            if (!inRange(obstacle.z)) continue;
+            sim.obstacles.splice(i, 1);
+            emit('obstacleRemoved', { obstacle });
+        }
+        sim.holes.forEach((hole, key) => {
+            if (!inRange(hole.z)) return;
+            sim.holes.delete(key);
+            emit('holeFilled', { lane: hole.lane, z: hole.z, biome: getBiomeAt(sim.config.biome, hole.z).id });
+        });
+
+        // Back on the ground in the lane it was heading for
+        p.x = p.targetX;
+        p.y = GROUND_Y;
+        p.verticalVelocity = 0;
+        p.isJumping = false;
+        p.slideTime = 0;
+        p.slideQueued = false;
+
+        sim.revives++;
+        sim.invulnerable = REVIVE_INVULNERABILITY;
+        sim.speed = Math.max(sim.config.minSpeed, sim.speed * REVIVE_SPEED_FACTOR);
+        sim.alive = true;
+        emit('revived', { revives: sim.revives, invulnerable: sim.invulnerable });
+        return true;
+    };
+
+    sim.step = function(dt = FIXED_DT) {
+        if (!sim.alive) return;
+        sim.tick++;
+        sim.time += dt;
+
+        const previousZ = sim.player.z;
+        if (stepPlayer(sim.player, dt, sim.speed * sim.speedScale, isGround)) {
+            emit('landed', { sliding: sim.player.slideTime > 0 });
+        }
+        sim.scoring.addDistance(sim.player.z - previousZ, sim.speed);
+        sim.scoring.update(sim.time);
+        sim.score = sim.scoring.total;
+        updateHoles(dt);
+        updatePowerUps(dt);
+        sim.invulnerable = Math.max(0, sim.invulnerable - dt);
+
+        if (sim.player.y < FALL_DEATH_Y) {
+            sim.alive = false;
+            emit('gameOver', { reason: 'fall', obstacle: null, score: sim.score, distance: sim.player.z });
+            return;
+        }
+
+        // Accelerate along the difficulty's speed curve
+        if (sim.speed < sim.config.maxSpeed) {
+            const acceleration = sim.config.acceleration * getRules(sim.player.z).ramp;
+            sim.speed = Math.min(sim.config.maxSpeed, sim.speed + acceleration * dt);
+        }
+
+        const biome = getBiomeAt(sim.config.biome, sim.player.z);
+        if (biome.id !== sim.biome) {
+            sim.biome = biome.id;
+            emit('biomeChanged', { biome: biome.id });
+        }
+
+        // Keep the track generated ahead of the player
+        while (sim.lastRowZ < sim.player.z + SPAWN_AHEAD) {
+            sim.lastRowZ += BLOCK_SIZE;
+            spawnRow(sim.lastRowZ, false);
+        }
+
+        checkCollisions();
+    };
+
+    // Starts a power-up's effect, or restarts its timer when already running
+    sim.startPowerUp = function(id) {
+        const powerUp = getPowerUp(id);
+        const running = sim.activePowerUps.find(effect => effect.id === id);
+        if (running) {
+            running.remaining = powerUp.duration;
+        } else {
+            const effect = { id, remaining: powerUp.duration, duration: powerUp.duration };
+            sim.activePowerUps.push(effect);
+            powerUp.start(sim, effect);
+        }
+        emit('powerUpStarted', { id, duration: powerUp.duration });
+    };
+
+    sim.endPowerUp = function(id) {
+        const index = sim.activePowerUps.findIndex(effect => effect.id === id);
+        if (index === -1) return;
+        const effect = sim.activePowerUps[index];
+        sim.activePowerUps.splice(index, 1);
+        getPowerUp(id).end(sim, effect);
+        emit('powerUpEnded', { id });
+    };
+
+    sim.drainEvents = function() {
+        const events = sim.events;
+        sim.events = [];
+        return events;
+    };
+
+    function emit(type, data = {}) {
+        sim.events.push({ type, time: sim.time, ...data });
+    }
+
+    // --- World Generation ---
+    // Difficulty at distance `z` (see difficulty.js)
+    function getRules(z) {
+        return getDifficultyAt(sim.config.difficulty, z, sim.config.ease);
+    }
+
+    function spawnRow(z, instant) {
+        const rng = sim.rng;
+        const biome = getBiomeAt(sim.config.biome, z);
+
+        // Decoration on the outer side lane
+        if (rng.chance(biome.decorationChance)) {
+            // 0.6 sits on the lowered side block
+            emit('decorationSpawned', { kind: biome.decoration, biome: biome.id, x: 2 * LANE_WIDTH, y: 0.6, z, instant });
+        }
+
+        if (z > ITEMS_START_Z) {
+            spawnItems(z, instant);
+        }
+
+        // Items decide where the ground is missing, so the row goes out last
+        const holes = LANES.map(lane => sim.holes.get(holeKey(z, lane))).filter(Boolean);
+        emit('rowSpawned', { z, instant, biome: biome.id, holes: holes.map(hole => ({ lane: hole.lane, kind: hole.kind })) });
+    }
+
+    // Authored chunks (see chunks.js) separated by empty gaps long enough to land in
+    function spawnItems(z, instant) {
+        const rng = sim.rng;
+        if (!sim.segment || sim.segment.row >= sim.segment.length) {
+            sim.segment = nextSegment(sim.segment, z);
+        }
+        const segment = sim.segment;
+        let blockedLanes = [];
+
+        if (segment.kind === 'chunk') {
+            spawnChunkRow(segment.chunk, segment.row, z, instant);
+            sim.coinLine = null; // Chunks place their own coins
+        } else if (segment.kind === 'pit') {
+            const kind = segment.row === 0 && segment.crumbleEdge ? 'crumble' : 'pit';
+            LANES.forEach(lane => addHole(lane, z, kind));
+            sim.coinLine = null;
+        } else {
+            if (segment.kind === 'random') {
+                blockedLanes = spawnRandomRow(z, instant);
+            }
+            spawnCoinLine(z, blockedLanes, instant);
+            if (rng.chance(POWER_UP_CHANCE)) {
+                const lanes = LANES.filter(lane => !blockedLanes.includes(lane) &&
+                    !(sim.coinLine && sim.coinLine.lane === lane));
+                const powerUp = pickPowerUp(rng);
+                if (powerUp && lanes.length > 0) spawnPowerUp(powerUp.id, rng.pick(lanes), z, instant);
+            }
+        }
+        segment.row++;
+    }
+
+    function nextSegment(previous, z) {
+        const rng = sim.rng;
+        if (previous && (previous.kind === 'chunk' || previous.kind === 'pit')) {
+            return { kind: 'gap', chunk: null, row: 0, length: getGapLength(z) };
+        }
+        // Pits across the whole track, wider as the speed allows longer jumps
+        if (previous && previous.kind === 'gap' && rng.chance(PIT_CHANCE)) {
+            const length = rng.int(1, getMaxPitWidth(sim.speed));
+            return { kind: 'pit', chunk: null, row: 0, length, crumbleEdge: rng.chance(CRUMBLE_EDGE_CHANCE) };
+        }
+        // Chunks are only picked inside the speed range they were validated for
+        const rules = getRules(z);
+        const chunks = getChunks();
+        const meanDensity = chunks.reduce((sum, chunk) => sum + chunk.density, 0) / chunks.length;
+        const chunk = pickChunk(rng, sim.speed, candidate => scaleChunk(candidate, rules, meanDensity));
+        if (chunk) {
+            return { kind: 'chunk', chunk, row: 0, length: chunk.rows.length };
+        }
+        return { kind: 'random', chunk: null, row: 0, length: 1 };
+    }
+
+    // Long enough to land after a jump, stretched by density below 1 (never shortened)
+    function getGapLength(z) {
+        const rules = getRules(z);
+        const safe = getChunkGap(sim.speed);
+        return safe + Math.ceil(Math.max(0, safe / rules.density - safe) + rules.minGap);
+    }
+
+    // The difficulty's mix applies to the obstacles a chunk spells out too. Gaps can't get any
+    // shorter than a safe landing, so above normal density busier chunks come up more often instead.
+    function scaleChunk(chunk, rules, meanDensity) {
+        const scale = chunk.obstacles.reduce((total, id) => rules.mix[id] === undefined ? total : total * rules.mix[id], 1);
+        if (rules.density <= 1) return scale;
+        return scale * Math.pow(chunk.density / meanDensity, (rules.density - 1) * BUSY_CHUNK_BIAS);
+    }
+
+    function spawnChunkRow(chunk, row, z, instant) {
+        const rng = sim.rng;
+        Array.from(chunk.rows[row]).forEach((char, column) => {
+            const cell = parseCell(chunk, char);
+            if (!cell) return;
+            const lane = laneForColumn(column);
+
+            if (cell.ground) {
+                addHole(lane, z, cell.ground);
+                return;
+            }
+            if (cell.coin) {
+                spawnCoin(lane, z, cell.coin === 'high', instant);
+                return;
+            }
+            let kind = cell.obstacle;
+            if (cell.height) {
+                // The biome's and the difficulty's mix
+                const types = getObstacleTypes().filter(type => type.height === cell.height);
+                const weighted = applyDifficulty(getRules(z), weightObstacleTypes(getBiomeAt(sim.config.biome, z), types));
+                const picked = pickObstacleType(rng, Infinity, weighted);
+                if (!picked) return; // Every type of that height is ruled out, the cell stays empty
+                kind = picked.id;
+            }
+            spawnObstacle(kind, lane, z, instant);
+            sim.lastObstacleZ = z;
+        });
+    }
+
+    // Fallback when no chunk fits: single obstacles spaced by their minGap
+    function spawnRandomRow(z, instant) {
+        const rng = sim.rng;
+        let blockedLanes = [];
+
+        const gap = z - sim.lastObstacleZ;
+        const rules = getRules(z);
+        const types = applyDifficulty(rules, weightObstacleTypes(getBiomeAt(sim.config.biome, z), getObstacleTypes()));
+        if (gap >= getMinObstacleGap(types) && rng.chance(Math.min(1, OBSTACLE_CHANCE * rules.density))) {
+            // One or two lanes blocked, never all three
+            const count = rng.chance(0.35) ? 2 : 1;
+            blockedLanes = rng.shuffle(LANES.slice()).slice(0, count);
+            blockedLanes.forEach(lane => {
+                const type = pickObstacleType(rng, gap, types);
+                spawnObstacle(type.id, lane, z, instant);
+
+                if (rng.chance(0.4)) {
+                    // Ground obstacles: coin in air (player must jump), others: coin at bottom (player must stay low)
+                    spawnCoin(lane, z, type.height === 'ground', instant);
+                }
+            });
+            sim.lastObstacleZ = z;
+        }
+        return blockedLanes;
+    }
+
+    // Coin lines run along one lane for a few rows
+    function spawnCoinLine(z, blockedLanes, instant) {
+        const rng = sim.rng;
+        if (sim.coinLine) {
+            if (!blockedLanes.includes(sim.coinLine.lane)) {
+                spawnCoin(sim.coinLine.lane, z, false, instant);
+            }
+            sim.coinLine.remaining--;
+            if (sim.coinLine.remaining <= 0) sim.coinLine = null;
+        } else if (blockedLanes.length === 0 && rng.chance(0.08)) {
+            sim.coinLine = { lane: rng.pick(LANES), remaining: rng.int(3, 6) };
+        }
+    }
+
+    function spawnPowerUp(kind, lane, z, instant) {
+        const powerUp = {
+            id: sim.nextId++,
+            kind,
+            lane,
+            x: lane * LANE_WIDTH,
+            y: 1.0,
+            z
+        };
+        sim.powerUps.push(powerUp);
+        emit('powerUpSpawned', { powerUp, instant });
+    }
+
+    function addHole(lane, z, kind) {
+        sim.holes.set(holeKey(z, lane), { lane, z, kind, timer: null, fallen: false });
+    }
+
+    // --- Ground ---
+    function isGround(x, z) {
+        const lane = Math.round(x / LANE_WIDTH);
+        const hole = sim.holes.get(holeKey(Math.round(z / BLOCK_SIZE) * BLOCK_SIZE, lane));
+        return !hole || (hole.kind === 'crumble' && !hole.fallen);
+    }
+
+    // Crumbling tiles give way shortly after the player stands on them
+    function updateHoles(dt) {
+        const p = sim.player;
+        if (!p.isJumping) {
+            const lane = Math.round(p.x / LANE_WIDTH);
+            [p.z - PLAYER_BOX.halfDepth, p.z + PLAYER_BOX.halfDepth].forEach(z => {
+                const hole = sim.holes.get(holeKey(Math.round(z / BLOCK_SIZE) * BLOCK_SIZE, lane));
+                if (hole && hole.kind === 'crumble' && hole.timer === null) {
+                    hole.timer = CRUMBLE_DELAY;
+                    emit('tileCrumbling', { lane: hole.lane, z: hole.z });
+                }
+            });
+        }
+
+        sim.holes.forEach((hole, key) => {
+            if (hole.z < p.z - DESPAWN_BEHIND) {
+                sim.holes.delete(key);
+                return;
+            }
+            if (hole.timer === null || hole.fallen) return;
+            hole.timer -= dt;
+            if (hole.timer <= 0) {
+                hole.fallen = true;
+                emit('tileFell', { lane: hole.lane, z: hole.z });
+            }
+        });
+    }
+
+    // --- Power-Ups ---
+    function updatePowerUps(dt) {
+        // Copy, hooks may end effects early
+        sim.activePowerUps.slice().forEach(effect => {
+            effect.remaining = Math.max(0, effect.remaining - dt);
+            getPowerUp(effect.id).tick(sim, effect, dt);
+            if (effect.remaining <= 0) sim.endPowerUp(effect.id);
+        });
+    }
+
+    // A shield takes the hit instead of the player and is used up
+    function absorbHit(obstacle) {
+        if (!sim.shielded) return false;
+        sim.obstacles.splice(sim.obstacles.indexOf(obstacle), 1);
+        emit('shieldUsed', { obstacle });
+        emit('obstacleRemoved', { obstacle });
+        sim.endPowerUp('shield');
+        return true;
+    }
+
+    function spawnObstacle(kind, lane, z, instant) {
+        const type = getObstacleType(kind);
+        const obstacle = {
+            id: sim.nextId++,
+            kind,
+            lane,
+            x: lane * LANE_WIDTH,
+            y: type.y,
+            z,
+            size: type.size,
+            closest: Infinity, // Smallest gap to the player while passing it, for near misses
+            passed: false
+        };
+        sim.obstacles.push(obstacle);
+        emit('obstacleSpawned', { obstacle, instant });
+    }
+
+    function spawnCoin(lane, z, high, instant) {
+        const coin = {
+            id: sim.nextId++,
+            lane,
+            x: lane * LANE_WIDTH,
+            y: high ? 2.5 : 1.0,
+            z,
+            high
+        };
+        sim.coins.push(coin);
+        emit('coinSpawned', { coin, instant });
+    }
+
+    // --- Collision ---
+    function checkCollisions() {
+        const p = sim.player;
+        const playerBox = getPlayerBox(p);
+
+        for (let i = sim.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = sim.obstacles[i];
+            if (obstacle.z < p.z - DESPAWN_BEHIND) {
+                sim.obstacles.splice(i, 1);
+                emit('obstacleRemoved', { obstacle });
+                continue;
+            }
+
+            const obstacleBox = getObstacleBox(obstacle);
+            if (sim.invulnerable > 0) {
+                // Passes through, and neither scores a near miss nor counts as passed later
+                if (obstacleBox.maxZ < playerBox.minZ) obstacle.passed = true;
+                continue;
+            }
+            if (boxesOverlap(playerBox, obstacleBox)) {
+                if (absorbHit(obstacle)) continue;
+                sim.alive = false;
+                emit('gameOver', { reason: 'collision', obstacle, score: sim.score, distance: p.z });
+                return;
+            }
+            checkNearMiss(obstacle, playerBox, obstacleBox);
+        }
+
+        for (let i = sim.coins.length - 1; i >= 0; i--) {
+            const coin = sim.coins[i];
+            if (coin.z < p.z - DESPAWN_BEHIND) {
+                sim.coins.splice(i, 1);
+                emit('coinRemoved', { coin });
+                continue;
+            }
+
+            const dy = coin.y - p.y;
+            const dz = coin.z - p.z;
+            if (Math.abs(coin.x - p.x) < COIN_PICKUP_HALF_WIDTH &&
+                dy * dy + dz * dz < COIN_PICKUP_RADIUS * COIN_PICKUP_RADIUS) {
+                sim.coins.splice(i, 1);
+                const points = sim.scoring.addCoin(sim.coinMultiplier, sim.time, sim.speed);
+                sim.score = sim.scoring.total;
+                emit('coinCollected', { coin, value: sim.coinMultiplier, points, combo: sim.scoring.combo, score: sim.score });
+            }
+        }
+
+        for (let i = sim.powerUps.length - 1; i >= 0; i--) {
+            const powerUp = sim.powerUps[i];
+            if (powerUp.z < p.z - DESPAWN_BEHIND) {
+                sim.powerUps.splice(i, 1);
+                emit('powerUpRemoved', { powerUp });
+                continue;
+            }
+
+            const dy = powerUp.y - p.y;
+            const dz = powerUp.z - p.z;
+            if (Math.abs(powerUp.x - p.x) < COIN_PICKUP_HALF_WIDTH &&
+                dy * dy + dz * dz < COIN_PICKUP_RADIUS * COIN_PICKUP_RADIUS) {
+                sim.powerUps.splice(i, 1);
+                emit('powerUpCollected', { powerUp });
+                sim.startPowerUp(powerUp.kind);
+            }
+        }
+    }
+
+    // Tracks how close the player came while alongside an obstacle, scoring once it is behind
+    function checkNearMiss(obstacle, playerBox, obstacleBox) {
+        if (obstacle.passed) return;
+        if (obstacleBox.maxZ < playerBox.minZ) {
+            obstacle.passed = true;
+            emit('obstaclePassed', { obstacle, kind: obstacle.kind, airborne: sim.player.isJumping });
+            if (obstacle.closest <= NEAR_MISS_MARGIN) {
+                const points = sim.scoring.addNearMiss(sim.speed);
+                sim.score = sim.scoring.total;
+                emit('nearMiss', { obstacle, points, score: sim.score });
+            }
+        } else if (obstacleBox.minZ <= playerBox.maxZ) {
+            const gap = Math.max(
+                obstacleBox.minX - playerBox.maxX, playerBox.minX - obstacleBox.maxX,
+                obstacleBox.minY - playerBox.maxY, playerBox.minY - obstacleBox.maxY
+            );
+            obstacle.closest = Math.min(obstacle.closest, gap);
+        }
+    }
+
+    return sim;
+}
+
+function holeKey(z, lane) {
+    return z + ',' + lane;
+}
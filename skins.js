@@ -0,0 +1,158 @@
+// --- Skin Registry ---
+// The player character is plain data: a palette of named colors and the parts built from it.
+// Shapes are boxes or flat planes around the center of the 0.6 body cube:
+//
+//     {
+//         id: 'frost',
+//         label: 'FROST',
+//         price: 150,                       // Banked coins to unlock, 0 = owned from the start
+//         colors: { body: 0x7FD4FF, mask: 0xFFFFFF },
+//         parts: [
+//             { shape: 'box', size: [0.6, 0.6, 0.6], color: 'body', glow: 0.3, shadow: true },
+//             { shape: 'plane', size: [0.5, 0.3], position: [0, 0.1, 0.31], color: 'mask' }
+//         ],
+//         accessories: [...],               // Same as parts, drawn on top (hats, scarves...)
+//         trail: 0xBFEFFF                   // Color of the jump trail
+//     }
+//
+// A part's `color` names a palette entry or is a color number. `glow` is the emissive
+// intensity (default 0.1), `rotation` is in radians and `doubleSide` shows planes from behind.
+
+export const SHAPES = ['box', 'plane'];
+
+// The original ninja, which recolored skins share
+const NINJA_PARTS = [
+    { shape: 'box', size: [0.6, 0.6, 0.6], color: 'body', glow: 0.3, shadow: true }, // Body
+    { shape: 'plane', size: [0.5, 0.3], position: [0, 0.1, 0.31], color: 'mask' }, // Mask on the front face
+    { shape: 'box', size: [0.5, 0.1, 0.5], position: [0, 0.35, 0], color: 'mask' }, // Headband
+    { shape: 'box', size: [0.65, 0.08, 0.65], position: [0, -0.1, 0], color: 'belt' }, // Belt
+    { shape: 'plane', size: [0.15, 0.15], position: [0.31, 0.2, 0], rotation: [0, Math.PI / 2, 0], color: 'mask', doubleSide: true } // Shuriken
+];
+
+const DEFAULT_SKINS = [
+    {
+        id: 'ninja',
+        label: 'NINJA',
+        price: 0,
+        colors: { body: 0xFF0000, mask: 0x000000, belt: 0x2F2F2F }, // Bright red, black mask, dark gray belt
+        parts: NINJA_PARTS,
+        trail: 0xFF6347
+    },
+    {
+        id: 'shadow',
+        label: 'SHADOW',
+        price: 50,
+        colors: { body: 0x262626, mask: 0xE53935, belt: 0xE53935 },
+        parts: NINJA_PARTS,
+        trail: 0x7E57C2
+    },
+    {
+        id: 'frost',
+        label: 'FROST',
+        price: 150,
+        colors: { body: 0x7FD4FF, mask: 0xFFFFFF, belt: 0x3A7CA5, scarf: 0x3A7CA5 },
+        parts: NINJA_PARTS,
+        accessories: [
+            { shape: 'box', size: [0.66, 0.1, 0.66], position: [0, 0.02, 0], color: 'scarf' },
+            { shape: 'box', size: [0.12, 0.3, 0.04], position: [-0.15, -0.1, -0.33], color: 'scarf' } // Loose end
+        ],
+        trail: 0xBFEFFF
+    },
+    {
+        id: 'robot',
+        label: 'ROBOT',
+        price: 300,
+        colors: { body: 0x9EA7B3, visor: 0x00E5FF, trim: 0x4A5561 },
+        parts: [
+            { shape: 'box', size: [0.6, 0.6, 0.6], color: 'body', glow: 0.2, shadow: true },
+            { shape: 'plane', size: [0.46, 0.14], position: [0, 0.12, 0.31], color: 'visor', glow: 0.8 },
+            { shape: 'box', size: [0.64, 0.06, 0.64], position: [0, -0.15, 0], color: 'trim' }
+        ],
+        accessories: [
+            { shape: 'box', size: [0.04, 0.25, 0.04], position: [0, 0.42, 0], color: 'trim' }, // Antenna
+            { shape: 'box', size: [0.1, 0.1, 0.1], position: [0, 0.57, 0], color: 'visor', glow: 0.8 }
+        ],
+        trail: 0x00E5FF
+    },
+    {
+        id: 'golden',
+        label: 'GOLDEN',
+        price: 800,
+        colors: { body: 0xFFD700, mask: 0x8B4513, belt: 0x8B4513, crown: 0xFFF59D },
+        parts: NINJA_PARTS,
+        accessories: [
+            { shape: 'box', size: [0.4, 0.12, 0.4], position: [0, 0.46, 0], color: 'crown', glow: 0.4 },
+            { shape: 'box', size: [0.08, 0.1, 0.08], position: [0.14, 0.57, 0.14], color: 'crown', glow: 0.4 },
+            { shape: 'box', size: [0.08, 0.1, 0.08], position: [-0.14, 0.57, -0.14], color: 'crown', glow: 0.4 }
+        ],
+        trail: 0xFFD700
+    }
+];
+
+export const DEFAULT_SKIN = 'ninja';
+
+const skins = new Map();
+
+// Validates a definition and adds it, replacing any skin with the same id (keeping its place)
+export function registerSkin(definition) {
+    const id = definition && definition.id;
+    const fail = (message) => {
+        throw new Error('Skin "' + id + '": ' + message);
+    };
+
+    if (typeof id !== 'string' || id === '') fail('needs a string id');
+    if (!(Number.isInteger(definition.price) && definition.price >= 0)) fail('price must be a whole number of coins');
+    const colors = definition.colors || {};
+    Object.keys(colors).forEach(name => {
+        if (!isColor(colors[name])) fail('color "' + name + '" must be a color number');
+    });
+    if (!Array.isArray(definition.parts) || definition.parts.length === 0) fail('needs at least one part');
+    const accessories = definition.accessories || [];
+    [...definition.parts, ...accessories].forEach((part, i) => {
+        if (!SHAPES.includes(part.shape)) fail('part ' + i + ' shape must be one of ' + SHAPES.join(', '));
+        if (!isVector(part.size, part.shape === 'box' ? 3 : 2)) fail('part ' + i + ' has an invalid size');
+        if (part.position !== undefined && !isVector(part.position, 3, true)) fail('part ' + i + ' has an invalid position');
+        if (part.rotation !== undefined && !isVector(part.rotation, 3, true)) fail('part ' + i + ' has an invalid rotation');
+        if (!isColor(colors[part.color]) && !isColor(part.color)) fail('part ' + i + ' color must be a palette name or color number');
+    });
+    if (!isColor(definition.trail)) fail('trail must be a color number');
+
+    const skin = {
+        id,
+        label: definition.label || id.toUpperCase(),
+        price: definition.price,
+        colors,
+        parts: definition.parts,
+        accessories,
+        trail: definition.trail
+    };
+    skins.set(id, skin);
+    return skin;
+}
+
+export function getSkin(id) {
+    const skin = skins.get(id);
+    if (!skin) throw new Error('Unknown skin "' + id + '"');
+    return skin;
+}
+
+export function getSkins() {
+    return Array.from(skins.values());
+}
+
+// Color number of a part, looked up in the skin's palette when it's a name
+export function getPartColor(skin, part) {
+    return isColor(part.color) ? part.color : skin.colors[part.color];
+}
+
+function isColor(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF;
+}
+
+// Numbers, `anySign` allows zero and negatives (positions, rotations) where sizes must be positive
+function isVector(value, length, anySign = false) {
+    return Array.isArray(value) && value.length === length &&
+        value.every(n => typeof n === 'number' && Number.isFinite(n) && (anySign || n > 0));
+}
+
+DEFAULT_SKINS.forEach(registerSkin);
@@ -0,0 +1,38 @@
+// --- State Machine ---
+// Named states, each with optional hooks:
+//
+//     {
+//         enter(data, from) {},   // Became the current state, `data` is what go() was given
+//         exit(to) {},            // About to leave for `to`
+//         update(dt) {}           // Every frame while current
+//     }
+//
+// go() runs the old state's exit, then the new state's enter, and announces the change on
+// the bus as 'stateChanged' {from, to, data}. Going to the current state re-enters it.
+
+export function createStateMachine(states, bus) {
+    const machine = {
+        current: null,
+
+        go(name, data = {}) {
+            const state = states[name];
+            if (!state) throw new Error('Unknown state "' + name + '"');
+
+            const from = machine.current;
+            if (from && states[from].exit) states[from].exit(name);
+            machine.current = name;
+            bus.emit('stateChanged', { from, to: name, data });
+            if (state.enter) state.enter(data, from);
+        },
+
+        is(...names) {
+            return names.includes(machine.current);
+        },
+
+        update(dt) {
+            const state = states[machine.current];
+            if (state && state.update) state.update(dt);
+        }
+    };
+    return machine;
+}
@@ -0,0 +1,194 @@
+// --- Persistence ---
+// Everything the game remembers between visits is one versioned record:
+//
+//     { "version": 6,
+//       "stats": { "bestScore": 0, "totalCoins": 0, "runsPlayed": 0, "longestDistance": 0, "revives": 0 },
+//       "coins": 120,                      // Banked coins, spent in the shop
+//       "skins": { "owned": ["ninja"], "selected": "ninja" },
+//       "missions": { ...see missions.js },
+//       "leaderboard": [{ "score": 540, "distance": 212, "coins": 14, "seed": 1234, "date": "2026-10-19T...", "revives": 0 }],
+//       "history": [...same shape, newest first],
+//       "settings": { ...see settings.js } }
+//
+// It is kept in localStorage, or IndexedDB where localStorage is blocked (some private modes
+// and sandboxed iframes), or only in memory when neither works.
+//
+// To add fields: bump SAVE_VERSION, add them to createDefaultSave() and add a migration from
+// the previous version to MIGRATIONS.
+
+import { createDefaultSettings } from './settings.js';
+import { DEFAULT_SKIN } from './skins.js';
+import { createMissionRecord } from './missions.js';
+import { DEFAULT_DIFFICULTY } from './difficulty.js';
+
+const STORAGE_KEY = 'jumpy-dash';
+export const SAVE_VERSION = 6;
+const LEADERBOARD_SIZE = 10;
+const HISTORY_SIZE = 20;
+
+// MIGRATIONS[n] turns a version n save into version n + 1
+const MIGRATIONS = {
+    1: (data) => ({ ...data, version: 2, settings: createDefaultSettings() }),
+    // Coins collected before the shop existed go into the bank
+    2: (data) => ({ ...data, version: 3, coins: (data.stats && data.stats.totalCoins) || 0, skins: createDefaultSkins() }),
+    3: (data) => ({ ...data, version: 4, missions: createMissionRecord() }),
+    4: (data) => ({ ...data, version: 5, stats: { ...data.stats, revives: 0 } }),
+    5: (data) => ({ ...data, version: 6, settings: { ...data.settings, difficulty: DEFAULT_DIFFICULTY, adaptiveDifficulty: false } })
+};
+
+let backend = null;
+let save = createDefaultSave();
+
+export function createDefaultSave() {
+    return {
+        version: SAVE_VERSION,
+        stats: { bestScore: 0, totalCoins: 0, runsPlayed: 0, longestDistance: 0, revives: 0 },
+        leaderboard: [],
+        history: [],
+        settings: createDefaultSettings(),
+        coins: 0,
+        skins: createDefaultSkins(),
+        missions: createMissionRecord()
+    };
+}
+
+function createDefaultSkins() {
+    return { owned: [DEFAULT_SKIN], selected: DEFAULT_SKIN };
+}
+
+// Resolves with the save once the first working backend has been read
+export function loadSave() {
+    return openBackend()
+        .then(opened => {
+            backend = opened;
+            return backend.read();
+        })
+        .then(data => {
+            save = data ? migrateSave(data) : createDefaultSave();
+            return save;
+        })
+        .catch(e => {
+            console.log('Could not load save:', e);
+            return save;
+        });
+}
+
+export function getSave() {
+    return save;
+}
+
+// Applies `change` to the save and writes it back
+export function updateSave(change) {
+    change(save);
+    return writeSave();
+}
+
+// Adds a finished run to the stats, leaderboard and history, and banks its coins.
+// Returns {newBest, rank} where rank is the 1-based leaderboard place or null.
+export function recordRun(run) {
+    const stats = save.stats;
+    const newBest = run.score > stats.bestScore;
+    stats.bestScore = Math.max(stats.bestScore, run.score);
+    stats.totalCoins += run.coins;
+    save.coins += run.coins;
+    stats.runsPlayed++;
+    stats.revives += run.revives || 0;
+    stats.longestDistance = Math.max(stats.longestDistance, run.distance);
+
+    save.history.unshift(run);
+    save.history.length = Math.min(save.history.length, HISTORY_SIZE);
+
+    save.leaderboard.push(run);
+    save.leaderboard.sort((a, b) => b.score - a.score);
+    save.leaderboard.length = Math.min(save.leaderboard.length, LEADERBOARD_SIZE);
+    const index = save.leaderboard.indexOf(run);
+
+    writeSave();
+    return { newBest, rank: index === -1 ? null : index + 1 };
+}
+
+// Brings an older save up to date, filling anything missing from the defaults
+export function migrateSave(data) {
+    let migrated = data;
+    while (migrated.version < SAVE_VERSION && MIGRATIONS[migrated.version]) {
+        migrated = MIGRATIONS[migrated.version](migrated);
+    }
+    const defaults = createDefaultSave();
+    const settings = { ...defaults.settings, ...migrated.settings };
+    return {
+        ...defaults,
+        ...migrated,
+        version: Math.max(SAVE_VERSION, migrated.version || 0), // Never downgrade a newer save
+        stats: { ...defaults.stats, ...migrated.stats },
+        skins: { ...defaults.skins, ...migrated.skins },
+        missions: { ...defaults.missions, ...migrated.missions },
+        settings: { ...settings, keys: { ...defaults.settings.keys, ...settings.keys } }
+    };
+}
+
+function writeSave() {
+    if (!backend) return Promise.resolve();
+    return backend.write(save).catch(e => console.log('Could not write save:', e));
+}
+
+// --- Backends ---
+// Each has read() resolving with the stored object (or null) and write(data)
+
+function openBackend() {
+    const local = createLocalStorageBackend();
+    if (local) return Promise.resolve(local);
+    return openIndexedDbBackend().catch(() => createMemoryBackend());
+}
+
+function createLocalStorageBackend() {
+    try {
+        const storage = window.localStorage;
+        storage.setItem(STORAGE_KEY + '-test', '1');
+        storage.removeItem(STORAGE_KEY + '-test');
+        return {
+            read: () => Promise.resolve(JSON.parse(storage.getItem(STORAGE_KEY))),
+            write: (data) => {
+                storage.setItem(STORAGE_KEY, JSON.stringify(data));
+                return Promise.resolve();
+            }
+        };
+    } catch (e) {
+        return null; // Blocked or unavailable
+    }
+}
+
+function openIndexedDbBackend() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB unavailable'));
+            return;
+        }
+        const request = window.indexedDB.open(STORAGE_KEY, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('save');
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const db = request.result;
+            const run = (mode, action) => new Promise((done, fail) => {
+                const transaction = db.transaction('save', mode);
+                const result = action(transaction.objectStore('save'));
+                transaction.oncomplete = () => done(result.result);
+                transaction.onerror = () => fail(transaction.error);
+            });
+            resolve({
+                read: () => run('readonly', store => store.get(STORAGE_KEY)).then(data => data || null),
+                write: (data) => run('readwrite', store => store.put(data, STORAGE_KEY)).then(() => {})
+            });
+        };
+    });
+}
+
+function createMemoryBackend() {
+    let stored = null;
+    return {
+        read: () => Promise.resolve(stored),
+        write: (data) => {
+            stored = JSON.parse(JSON.stringify(data));
+            return Promise.resolve();
+        }
+    };
+}